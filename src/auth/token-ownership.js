@@ -0,0 +1,70 @@
+/**
+ * Token ownership for stream registration
+ * With TOKEN_RPC_URL set, a stream named after a token contract address may only be registered by the
+ * token's owner, read on-chain from TOKEN_OWNER_FUNCTION (default `owner()`). Without it only the
+ * authenticated wallet is required.
+ */
+
+import { Contract, JsonRpcProvider, isAddress } from 'ethers';
+
+const RPC_TIMEOUT_MS = 5000;
+
+// rpcUrl => provider
+const providers = new Map();
+
+function getTokenOwnershipSettings() {
+  return {
+    rpcUrl: process.env.TOKEN_RPC_URL || '',
+    chainId: parseInt(process.env.TOKEN_CHAIN_ID || process.env.AUTH_CHAIN_ID) || 1,
+    ownerFunction: process.env.TOKEN_OWNER_FUNCTION || 'owner',
+  };
+}
+
+function getProvider(rpcUrl, chainId) {
+  let provider = providers.get(rpcUrl);
+  if (!provider) {
+    // Static network: no detection round-trips, and a dead RPC fails the call instead of retrying forever
+    provider = new JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+    providers.set(rpcUrl, provider);
+  }
+  return provider;
+}
+
+/**
+ * Whether a stream name is a token contract address (and so needs checkTokenOwnership)
+ */
+function isTokenStreamName(publicStreamName) {
+  return isAddress(publicStreamName);
+}
+
+/**
+ * Check that `userId` owns the token at `tokenAddress` (always ok when TOKEN_RPC_URL is unset).
+ * Returns { ok: true } or { ok: false, status, reason }
+ */
+async function checkTokenOwnership(tokenAddress, userId) {
+  const { rpcUrl, chainId, ownerFunction } = getTokenOwnershipSettings();
+  if (!rpcUrl) return { ok: true };
+
+  let owner;
+  try {
+    const contract = new Contract(tokenAddress, [`function ${ownerFunction}() view returns (address)`], getProvider(rpcUrl, chainId));
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('RPC timeout')), RPC_TIMEOUT_MS);
+    });
+    owner = await Promise.race([contract[ownerFunction](), timeout]).finally(() => clearTimeout(timer));
+  } catch (e) {
+    console.error(`🔐 [Auth] Token owner lookup failed for ${tokenAddress}:`, e.shortMessage || e.message);
+    return { ok: false, status: 502, reason: 'Token ownership check failed' };
+  }
+
+  if (String(owner).toLowerCase() !== userId.toLowerCase()) {
+    return { ok: false, status: 403, reason: 'Only the token owner can register its stream' };
+  }
+  return { ok: true };
+}
+
+export {
+  isTokenStreamName,
+  checkTokenOwnership,
+};
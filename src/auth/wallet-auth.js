@@ -0,0 +1,100 @@
+/**
+ * Wallet signature challenge/response
+ * Issues one-time nonces and verifies EIP-191 (personal_sign) signatures over a SIWE-style message
+ */
+
+import crypto from 'crypto';
+import { verifyMessage, isAddress, getAddress } from 'ethers';
+import { AuthNonce } from '../models/AuthNonce.js';
+
+function getNonceTtlSeconds() {
+  return parseInt(process.env.AUTH_NONCE_TTL_SECONDS) || 300;
+}
+
+/**
+ * Build the message the wallet signs
+ */
+function buildChallengeMessage({ address, nonce, issuedAt, expiresAt }) {
+  const domain = process.env.AUTH_DOMAIN || 'dew.meme';
+  const uri = process.env.AUTH_URI || `https://${domain}`;
+  const chainId = process.env.AUTH_CHAIN_ID || '1';
+
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to dew streaming to manage and publish your stream.',
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join('\n');
+}
+
+/**
+ * Issue a new challenge for an address
+ */
+async function issueChallenge(address) {
+  if (!address || !isAddress(address)) {
+    throw new Error('Invalid address');
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + getNonceTtlSeconds() * 1000);
+  const message = buildChallengeMessage({ address: getAddress(address), nonce, issuedAt, expiresAt });
+
+  await AuthNonce.create({ nonce, address, message, expiresAt });
+
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Verify a signed challenge. The nonce is only consumed by a signature from its address, so nobody
+ * else can burn an outstanding nonce.
+ * Returns { ok: true, address } or { ok: false, reason }
+ */
+async function verifyChallenge({ address, nonce, signature }) {
+  if (!address || !nonce || !signature) {
+    return { ok: false, reason: 'Missing signature' };
+  }
+
+  const record = await AuthNonce.findOne({ nonce }).lean();
+  if (!record) {
+    return { ok: false, reason: 'Unknown or used nonce' };
+  }
+  if (record.expiresAt.getTime() < Date.now()) {
+    return { ok: false, reason: 'Nonce expired' };
+  }
+  if (record.address !== address.toLowerCase()) {
+    return { ok: false, reason: 'Nonce issued for another address' };
+  }
+
+  let recovered;
+  try {
+    recovered = verifyMessage(record.message, signature).toLowerCase();
+  } catch {
+    return { ok: false, reason: 'Malformed signature' };
+  }
+
+  if (recovered !== record.address) {
+    return { ok: false, reason: 'Signature does not match address' };
+  }
+
+  // Consume it; a concurrent use of the same signed nonce loses here
+  const consumed = await AuthNonce.findOneAndDelete({ _id: record._id }).lean();
+  if (!consumed) {
+    return { ok: false, reason: 'Unknown or used nonce' };
+  }
+
+  return { ok: true, address: recovered };
+}
+
+export {
+  buildChallengeMessage,
+  issueChallenge,
+  verifyChallenge,
+};
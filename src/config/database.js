@@ -1,9 +1,12 @@
 import mongoose from 'mongoose'
+import { trackMongoClient, mongoErrorsTotal } from '../services/metrics.js'
 
 export const connectDB = async () => {
   try {
     const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/dew_streaming'
-    const conn = await mongoose.connect(uri)
+    // Command monitoring feeds the mongo_errors_total metric
+    const conn = await mongoose.connect(uri, { monitorCommands: true })
+    trackMongoClient(conn.connection.getClient())
     console.log(`MongoDB connected: ${conn.connection.host}`)
   } catch (error) {
     console.error('Database connection error:', error.message)
@@ -16,5 +19,6 @@ mongoose.connection.on('disconnected', () => {
 })
 
 mongoose.connection.on('error', (err) => {
+  mongoErrorsTotal.inc({ operation: 'connection' })
   console.error('MongoDB error:', err)
 })
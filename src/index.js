@@ -9,8 +9,20 @@ import { errorHandler } from "./middleware/errorHandler.js";
 import webhooksRoutes from "./routes/webhooks.js";
 import streamStatusRoutes from "./routes/stream-status.js";
 import streamsRoutes from "./routes/streams.js";
+import authRoutes from "./routes/auth.js";
+import whipWhepRoutes from "./routes/whip-whep.js";
+import adminRoutes from "./routes/admin.js";
+import metricsRoutes from "./routes/metrics.js";
+import streamEventsRoutes from "./routes/stream-events.js";
+import { httpMetricsMiddleware } from "./services/metrics.js";
 import { initializeStreamingWebSocketServer } from "./routes/streaming-ws.js";
 import { initializeWorkers } from "./sfu/mediasoup-config.js";
+import { initializeWorkerRecovery } from "./services/worker-recovery.js";
+import { initializeStalePeerEviction } from "./services/stale-peers.js";
+import { initializeRoomRegistry } from "./services/room-registry.js";
+import { isDraining, installShutdownHandlers } from "./services/shutdown.js";
+import { initializeReconciler } from "./services/reconciler.js";
+import { initializeOutboundWebhooks } from "./services/outbound-webhooks.js";
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -27,6 +39,7 @@ connectDB();
 
 // Middleware
 app.use("*", logger());
+app.use("*", httpMetricsMiddleware);
 app.use("*", cors({
   origin: [
     "http://localhost:3000", 
@@ -36,16 +49,26 @@ app.use("*", cors({
     "https://stream.dew.meme"
   ],
   credentials: true,
+  exposeHeaders: ["Location", "ETag"],
 }));
 
 // Routes
 app.route("/api/webhooks", webhooksRoutes);
 app.route("/api/status", streamStatusRoutes);
+app.route("/api/events", streamEventsRoutes);
 app.route("/api/streams", streamsRoutes);
+app.route("/api/auth", authRoutes);
+app.route("/api/admin", adminRoutes);
+app.route("/api", whipWhepRoutes);
 
 // Root
 app.get("/", (c) => c.text("OK", 200));
-app.get("/health", (c) => c.json({ status: "OK", ts: new Date().toISOString() }));
+// 503 while draining so load balancers stop sending new clients here
+app.get("/health", (c) => {
+  const status = isDraining() ? "DRAINING" : "OK";
+  return c.json({ status, ts: new Date().toISOString() }, isDraining() ? 503 : 200);
+});
+app.route("/metrics", metricsRoutes);
 
 // Error handling
 app.use("*", errorHandler);
@@ -57,15 +80,29 @@ async function start() {
     // Initialize mediasoup workers before starting server
     console.log('🎬 [Server] Initializing mediasoup SFU...');
     await initializeWorkers();
+    initializeWorkerRecovery();
+    initializeStalePeerEviction();
     console.log('🎬 [Server] mediasoup SFU initialized');
 
+    // Register with the shared room registry (multi-instance deployments only)
+    await initializeRoomRegistry();
+
+    // End streams left live by a crash or missed webhook, then keep checking
+    await initializeReconciler();
+
+    // Outbound webhooks: queue lifecycle events and deliver pending ones
+    initializeOutboundWebhooks();
+
     // Start HTTP server
     const server = serve({ fetch: app.fetch, port });
     console.log(`🚀 dew-streaming-service running on :${port}`);
 
     // Initialize WebSocket signaling
-    initializeStreamingWebSocketServer(server);
+    const wss = initializeStreamingWebSocketServer(server);
     console.log('🔌 [Server] WebSocket signaling server initialized');
+
+    // SIGTERM/SIGINT: drain, notify peers, end broadcasts and close workers/DB
+    installShutdownHandlers({ server, wss });
   } catch (error) {
     console.error('❌ [Server] Failed to start:', error);
     process.exit(1);
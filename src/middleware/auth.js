@@ -0,0 +1,74 @@
+import crypto from 'crypto'
+import { ApiToken } from '../models/ApiToken.js'
+import { verifyChallenge } from '../auth/wallet-auth.js'
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+export const isStreamOwner = (stream, principal) => {
+  if (!stream || !principal) return false
+  return (stream.userId || '').toLowerCase() === principal.userId
+}
+
+const resolvePrincipal = async (c) => {
+  const header = c.req.header('authorization') || ''
+  const [scheme, token] = header.split(' ')
+
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    const doc = await ApiToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+      { lastUsedAt: new Date() },
+      { new: true }
+    ).lean()
+    if (!doc) return null
+    return { userId: doc.userId, method: 'token', tokenId: doc._id }
+  }
+
+  // One-shot signed challenge (see POST /api/auth/challenge)
+  const address = c.req.header('x-wallet-address')
+  if (address) {
+    const verified = await verifyChallenge({
+      address,
+      nonce: c.req.header('x-wallet-nonce'),
+      signature: c.req.header('x-wallet-signature'),
+    })
+    if (!verified.ok) return null
+    return { userId: verified.address, method: 'signature', tokenId: null }
+  }
+
+  return null
+}
+
+// Requires a bearer token or signed challenge; attaches c.get('principal') = { userId, method, tokenId }
+export const requireAuth = async (c, next) => {
+  const principal = await resolvePrincipal(c)
+  if (!principal) {
+    return c.json({ error: 'Unauthorized' }, 401)
+  }
+  c.set('principal', principal)
+  await next()
+}
+
+// Like requireAuth, but anonymous requests pass with c.get('principal') = null; bad credentials still 401
+export const optionalAuth = async (c, next) => {
+  const hasCredentials = !!(c.req.header('authorization') || c.req.header('x-wallet-address'))
+  const principal = hasCredentials ? await resolvePrincipal(c) : null
+  if (hasCredentials && !principal) {
+    return c.json({ error: 'Unauthorized' }, 401)
+  }
+  c.set('principal', principal)
+  await next()
+}
+
+// requireAuth for operators: the principal's wallet must be listed in ADMIN_ADDRESSES (comma-separated)
+export const requireAdmin = async (c, next) => {
+  const principal = await resolvePrincipal(c)
+  if (!principal) {
+    return c.json({ error: 'Unauthorized' }, 401)
+  }
+  const admins = (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean)
+  if (!admins.includes(principal.userId)) {
+    return c.json({ error: 'Forbidden' }, 403)
+  }
+  c.set('principal', principal)
+  await next()
+}
@@ -0,0 +1,35 @@
+import { getClientIp, takeRequest } from '../services/rate-limits.js'
+
+// Per-IP fixed-window request limit; getLimits() returns { limit, windowMs } (limit 0 disables)
+// Over the limit: 429 { error, retryAfter } with a Retry-After header
+export const rateLimit = (name, getLimits) => async (c, next) => {
+  const { limit, windowMs } = getLimits()
+  if (!limit) return next()
+
+  const ip = getClientIp(c.req.header('x-forwarded-for'), c.env?.incoming?.socket?.remoteAddress)
+  const { allowed, retryAfterSeconds } = takeRequest(name, ip, { limit, windowMs })
+  if (!allowed) {
+    console.log('🚦 [RateLimit] Too many requests:', { name, ip })
+    c.header('Retry-After', String(retryAfterSeconds))
+    return c.json({ error: 'Too many requests', retryAfter: retryAfterSeconds }, 429)
+  }
+  await next()
+}
+
+const streamsWindowMs = () => (parseInt(process.env.STREAMS_RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000
+
+const streamsReadLimit = rateLimit('streams-read', () => ({
+  limit: parseInt(process.env.STREAMS_READ_RATE_LIMIT ?? '120') || 0,
+  windowMs: streamsWindowMs(),
+}))
+
+const streamsWriteLimit = rateLimit('streams-write', () => ({
+  limit: parseInt(process.env.STREAMS_WRITE_RATE_LIMIT ?? '30') || 0,
+  windowMs: streamsWindowMs(),
+}))
+
+// /api/streams: separate budgets for reads and writes
+export const streamsRateLimit = (c, next) => {
+  const isRead = c.req.method === 'GET' || c.req.method === 'HEAD'
+  return (isRead ? streamsReadLimit : streamsWriteLimit)(c, next)
+}
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+// Bearer token issued after a wallet signature; only the sha256 hash is stored
+const apiTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true, index: true },
+  userId: { type: String, required: true, lowercase: true, index: true },
+  label: { type: String, default: '' },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const ApiToken = mongoose.model('ApiToken', apiTokenSchema)
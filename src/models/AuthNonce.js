@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+
+// One-time challenge issued to a wallet; consumed on first verification attempt
+const authNonceSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true, index: true },
+  address: { type: String, required: true, lowercase: true, index: true },
+  message: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true })
+
+// Mongo TTL monitor removes expired nonces
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const AuthNonce = mongoose.model('AuthNonce', authNonceSchema)
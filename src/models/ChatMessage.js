@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+const chatMessageSchema = new mongoose.Schema({
+  publicStreamName: { type: String, required: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StreamSession', default: null, index: true },
+  peerId: { type: String, required: true },
+  userAddress: { type: String, default: null, lowercase: true },
+  isCreator: { type: Boolean, default: false },
+  text: { type: String, required: true },
+  sentAt: { type: Date, required: true }
+}, { timestamps: true })
+
+chatMessageSchema.index({ publicStreamName: 1, sentAt: -1 })
+
+export const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema)
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose'
+
+// Local recording file of an SFU broadcast
+const recordingSchema = new mongoose.Schema({
+  publicStreamName: { type: String, required: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StreamSession', default: null, index: true },
+  filePath: { type: String, required: true },
+  format: { type: String, enum: ['webm', 'mp4'], required: true },
+  status: { type: String, enum: ['recording', 'completed', 'failed'], default: 'recording' },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  durationSeconds: { type: Number, default: null },
+  sizeBytes: { type: Number, default: null },
+  error: { type: String, default: null }
+}, { timestamps: true })
+
+recordingSchema.index({ publicStreamName: 1, startedAt: -1 })
+
+export const Recording = mongoose.model('Recording', recordingSchema)
@@ -0,0 +1,10 @@
+import mongoose from 'mongoose'
+
+// Which instance hosts a stream's SFU room; every publisher and viewer of the room must connect there
+const roomHostSchema = new mongoose.Schema({
+  publicStreamName: { type: String, required: true, unique: true, index: true },
+  nodeId: { type: String, required: true, index: true },
+  claimedAt: { type: Date, required: true }
+}, { timestamps: true })
+
+export const RoomHost = mongoose.model('RoomHost', roomHostSchema)
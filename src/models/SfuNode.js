@@ -0,0 +1,11 @@
+import mongoose from 'mongoose'
+
+// One document per running instance in a multi-instance deployment; refreshed by its heartbeat
+const sfuNodeSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true, unique: true, index: true },
+  publicUrl: { type: String, required: true },
+  startedAt: { type: Date, required: true },
+  lastHeartbeatAt: { type: Date, required: true, index: true }
+}, { timestamps: true })
+
+export const SfuNode = mongoose.model('SfuNode', sfuNodeSchema)
@@ -5,14 +5,25 @@ const streamSchema = new mongoose.Schema({
   streamKey: { type: String, required: true, unique: true, index: true },
   publicStreamName: { type: String, required: true, unique: true, index: true },
   title: { type: String, default: '' },
+  description: { type: String, default: '' },
+  thumbnailUrl: { type: String, default: null },
+  tags: { type: [String], default: [] },
   isLive: { type: Boolean, default: false },
   startTime: { type: Date, default: null },
   endTime: { type: Date, default: null },
+  lastSeenAt: { type: Date, default: null },
   viewerCount: { type: Number, default: 0 },
   app: { type: String, default: 'live' },
-  lastClientAddr: { type: String, default: null }
+  lastClientAddr: { type: String, default: null },
+  ingestType: { type: String, enum: ['rtmp', 'sfu', null], default: null },
+  disabled: { type: Boolean, default: false },
+  autoRecord: { type: Boolean, default: false },
+  keyRotatedAt: { type: Date, default: null }
 }, { timestamps: true })
 
 streamSchema.index({ isLive: 1, updatedAt: -1 })
+streamSchema.index({ isLive: 1, viewerCount: -1 })
+streamSchema.index({ isLive: 1, startTime: -1 })
+streamSchema.index({ title: 'text' })
 
 export const Stream = mongoose.model('Stream', streamSchema)
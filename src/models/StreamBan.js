@@ -0,0 +1,13 @@
+import mongoose from 'mongoose'
+
+// Viewer banned from a stream by its creator; checked on WS connect
+const streamBanSchema = new mongoose.Schema({
+  publicStreamName: { type: String, required: true },
+  userAddress: { type: String, required: true, lowercase: true },
+  reason: { type: String, default: '' },
+  bannedBy: { type: String, required: true, lowercase: true }
+}, { timestamps: true })
+
+streamBanSchema.index({ publicStreamName: 1, userAddress: 1 }, { unique: true })
+
+export const StreamBan = mongoose.model('StreamBan', streamBanSchema)
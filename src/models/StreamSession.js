@@ -0,0 +1,23 @@
+import mongoose from 'mongoose'
+
+// One document per broadcast (each time a stream goes live)
+const streamSessionSchema = new mongoose.Schema({
+  streamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Stream', required: true, index: true },
+  publicStreamName: { type: String, required: true, index: true },
+  userId: { type: String, required: true },
+  ingestType: { type: String, enum: ['rtmp', 'sfu'], required: true },
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, default: null },
+  durationSeconds: { type: Number, default: null },
+  peakViewers: { type: Number, default: 0 },
+  avgViewers: { type: Number, default: null },
+  // Time-weighted viewer accumulator used to compute avgViewers
+  viewerSeconds: { type: Number, default: 0 },
+  lastViewerCount: { type: Number, default: 0 },
+  lastViewerChangeAt: { type: Date, default: null }
+}, { timestamps: true })
+
+streamSessionSchema.index({ publicStreamName: 1, startTime: -1 })
+streamSessionSchema.index({ publicStreamName: 1, endTime: 1 })
+
+export const StreamSession = mongoose.model('StreamSession', streamSessionSchema)
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose'
+
+// One document per viewer join (SFU consumer transport) until they leave
+const viewerVisitSchema = new mongoose.Schema({
+  publicStreamName: { type: String, required: true },
+  peerId: { type: String, required: true },
+  userAddress: { type: String, default: null, lowercase: true },
+  joinedAt: { type: Date, required: true },
+  leftAt: { type: Date, default: null },
+  watchSeconds: { type: Number, default: null }
+}, { timestamps: true })
+
+viewerVisitSchema.index({ publicStreamName: 1, joinedAt: 1 })
+viewerVisitSchema.index({ publicStreamName: 1, peerId: 1 })
+
+export const ViewerVisit = mongoose.model('ViewerVisit', viewerVisitSchema)
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose'
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null }
+}, { _id: false })
+
+// One event queued for one subscription; doubles as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+  eventId: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  // subscriptionId:eventId, unset on replays, so an event is queued once per subscription
+  dedupeKey: { type: String, default: undefined },
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  status: { type: String, enum: ['pending', 'delivering', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Lease while an instance is sending it; an expired lease means that instance died mid-attempt
+  lockedUntil: { type: Date, default: null },
+  lastResponseStatus: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null },
+  attemptLog: { type: [attemptSchema], default: [] }
+}, { timestamps: true })
+
+webhookDeliverySchema.index({ dedupeKey: 1 }, { unique: true, sparse: true })
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+// Delivery log retention: 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 })
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema)
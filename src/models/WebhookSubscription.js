@@ -0,0 +1,16 @@
+import mongoose from 'mongoose'
+
+// Outbound webhook endpoint and the event types it receives ('*' for all)
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  // HMAC-SHA256 key for the X-Dew-Signature header (shown once on creation)
+  secret: { type: String, required: true },
+  events: { type: [String], required: true },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true },
+  createdBy: { type: String, default: null }
+}, { timestamps: true })
+
+webhookSubscriptionSchema.index({ enabled: 1, events: 1 })
+
+export const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema)
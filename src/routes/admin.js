@@ -0,0 +1,89 @@
+import { Hono } from 'hono'
+import { requireAdmin } from '../middleware/auth.js'
+import { listRooms, inspectRoom, listWorkers, forceCloseRoom, disconnectPeer } from '../services/admin.js'
+import { getDrainStatus, startDrain, stopDrain } from '../services/shutdown.js'
+import webhookSubscriptions from './webhook-subscriptions.js'
+
+// Operator view of live SFU state (wallets in ADMIN_ADDRESSES only)
+const admin = new Hono()
+
+admin.use('*', requireAdmin)
+
+// GET /api/admin/rooms
+admin.get('/rooms', (c) => {
+  try {
+    return c.json({ rooms: listRooms() })
+  } catch (err) {
+    console.error('🛠️ [Admin] list rooms error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// GET /api/admin/rooms/:publicStreamName (transports, ICE/DTLS state, RTP stats)
+admin.get('/rooms/:publicStreamName', async (c) => {
+  try {
+    const room = await inspectRoom(c.req.param('publicStreamName'))
+    if (!room) return c.json({ error: 'Room not found' }, 404)
+    return c.json(room)
+  } catch (err) {
+    console.error('🛠️ [Admin] inspect room error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// DELETE /api/admin/rooms/:publicStreamName ends the broadcast and disconnects everyone
+admin.delete('/rooms/:publicStreamName', async (c) => {
+  try {
+    const name = c.req.param('publicStreamName')
+    if (!(await forceCloseRoom(name))) return c.json({ error: 'Room not found' }, 404)
+    console.log('🛠️ [Admin] Room closed by', c.get('principal').userId, name)
+    return c.json({ publicStreamName: name, closed: true })
+  } catch (err) {
+    console.error('🛠️ [Admin] close room error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// DELETE /api/admin/rooms/:publicStreamName/peers/:peerId
+admin.delete('/rooms/:publicStreamName/peers/:peerId', async (c) => {
+  try {
+    const { publicStreamName, peerId } = c.req.param()
+    if (!(await disconnectPeer(publicStreamName, peerId))) return c.json({ error: 'Peer not found' }, 404)
+    console.log('🛠️ [Admin] Peer disconnected by', c.get('principal').userId, publicStreamName, peerId)
+    return c.json({ publicStreamName, peerId, disconnected: true })
+  } catch (err) {
+    console.error('🛠️ [Admin] disconnect peer error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// GET /api/admin/workers (load and getResourceUsage per mediasoup worker)
+admin.get('/workers', async (c) => {
+  try {
+    return c.json({ workers: await listWorkers() })
+  } catch (err) {
+    console.error('🛠️ [Admin] list workers error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// GET /api/admin/drain
+admin.get('/drain', (c) => c.json(getDrainStatus()))
+
+// POST /api/admin/drain refuses new broadcasts and rooms; open rooms carry on until they end
+admin.post('/drain', (c) => {
+  const principal = c.get('principal').userId
+  console.log('🛠️ [Admin] Drain started by', principal)
+  return c.json(startDrain(`admin ${principal}`))
+})
+
+// DELETE /api/admin/drain (not possible once shutting down)
+admin.delete('/drain', (c) => {
+  console.log('🛠️ [Admin] Drain stopped by', c.get('principal').userId)
+  return c.json(stopDrain())
+})
+
+// /api/admin/webhooks (outbound webhook subscriptions and delivery log)
+admin.route('/webhooks', webhookSubscriptions)
+
+export default admin
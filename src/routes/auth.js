@@ -0,0 +1,91 @@
+import { Hono } from 'hono'
+import crypto from 'crypto'
+import { issueChallenge, verifyChallenge } from '../auth/wallet-auth.js'
+import { ApiToken } from '../models/ApiToken.js'
+import { requireAuth, hashToken } from '../middleware/auth.js'
+
+const auth = new Hono()
+
+// Issue a one-time challenge for a wallet to sign (personal_sign)
+auth.post('/challenge', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}))
+    const { address } = body || {}
+
+    if (!address) return c.json({ error: 'address is required' }, 400)
+
+    const { nonce, message, expiresAt } = await issueChallenge(address)
+    console.log('🔐 [Auth] Challenge issued:', { address, nonce })
+
+    return c.json({ address: address.toLowerCase(), nonce, message, expiresAt }, 201)
+  } catch (err) {
+    if (err.message === 'Invalid address') {
+      return c.json({ error: 'Invalid address' }, 400)
+    }
+    console.error('🔐 [Auth] challenge error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Exchange a signed challenge for an API token (returned once, stored hashed)
+auth.post('/token', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}))
+    const { address, nonce, signature, label } = body || {}
+
+    if (!address || !nonce || !signature) {
+      return c.json({ error: 'address, nonce and signature are required' }, 400)
+    }
+
+    const verified = await verifyChallenge({ address, nonce, signature })
+    if (!verified.ok) {
+      console.log('🔐 [Auth] Token request rejected:', verified.reason)
+      return c.json({ error: verified.reason }, 401)
+    }
+
+    const token = crypto.randomBytes(32).toString('hex')
+    const ttlSeconds = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60
+    const doc = await ApiToken.create({
+      tokenHash: hashToken(token),
+      userId: verified.address,
+      label: label || '',
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    })
+
+    console.log('🔐 [Auth] Token issued:', { userId: doc.userId, id: doc._id })
+
+    return c.json({
+      id: doc._id,
+      userId: doc.userId,
+      token,
+      expiresAt: doc.expiresAt,
+    }, 201)
+  } catch (err) {
+    console.error('🔐 [Auth] token error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Who am I (useful for checking a token)
+auth.get('/me', requireAuth, (c) => {
+  const principal = c.get('principal')
+  return c.json({ userId: principal.userId, method: principal.method })
+})
+
+// Revoke the token used for this request
+auth.delete('/token', requireAuth, async (c) => {
+  try {
+    const principal = c.get('principal')
+    if (!principal.tokenId) return c.json({ error: 'Not authenticated with a token' }, 400)
+
+    await ApiToken.findByIdAndUpdate(principal.tokenId, { revokedAt: new Date() })
+    console.log('🔐 [Auth] Token revoked:', principal.tokenId)
+
+    return c.json({ revoked: true })
+  } catch (err) {
+    console.error('🔐 [Auth] revoke error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+export default auth
@@ -0,0 +1,20 @@
+import { Hono } from 'hono'
+import { renderMetrics } from '../services/metrics.js'
+
+const metrics = new Hono()
+
+// Prometheus scrape target; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+metrics.get('/', async (c) => {
+  const token = process.env.METRICS_TOKEN
+  if (token && c.req.header('authorization') !== `Bearer ${token}`) {
+    return c.text('Unauthorized', 401)
+  }
+  try {
+    return c.body(await renderMetrics(), 200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+  } catch (err) {
+    console.error('📊 [Metrics] render error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+export default metrics
@@ -0,0 +1,89 @@
+import { Hono } from 'hono'
+import { streamSSE } from 'hono/streaming'
+import { Stream } from '../models/Stream.js'
+import { getEventsSince, getLatestEventId, subscribeStreamEvents } from '../services/stream-events.js'
+import { sseConnections } from '../services/metrics.js'
+
+// Server-Sent Events: live, offline, viewer-count, title-changed
+const events = new Hono()
+
+const KEEPALIVE_MS = 15000
+
+// Current state as the same event types, for new clients and ids we can no longer resume from
+const snapshotEvents = (streams) => streams.flatMap((stream) => {
+  const { publicStreamName } = stream
+  if (!stream.isLive) return [{ type: 'offline', data: { publicStreamName, endTime: stream.endTime } }]
+  return [
+    { type: 'live', data: { publicStreamName, ingestType: stream.ingestType, title: stream.title, startTime: stream.startTime } },
+    { type: 'viewer-count', data: { publicStreamName, viewerCount: stream.viewerCount } },
+  ]
+})
+
+// Replays missed events (Last-Event-ID) or a snapshot, then follows new events until the client goes away
+const openFeed = (c, { feed, publicStreamName = null, loadSnapshot }) => streamSSE(c, async (stream) => {
+  const aborted = new Promise((resolve) => stream.onAbort(resolve))
+  const write = (event) => stream.writeSSE({ event: event.type, data: JSON.stringify(event.data), id: event.id })
+
+  // Writes stay in order
+  let queue = Promise.resolve()
+  const enqueue = (task) => {
+    queue = queue.then(task).catch(() => {})
+  }
+  sseConnections.inc({ feed })
+  let unsubscribe = null
+  let keepalive = null
+
+  try {
+    const lastEventId = c.req.header('last-event-id') || c.req.query('lastEventId')
+    let missed = lastEventId ? getEventsSince(lastEventId, publicStreamName) : null
+    if (!missed) {
+      // The snapshot is as of latestId; events published while it loads are replayed after it
+      const latestId = getLatestEventId()
+      const snapshot = await loadSnapshot()
+      enqueue(async () => {
+        for (const event of snapshotEvents(snapshot)) await write({ ...event, id: latestId })
+      })
+      missed = getEventsSince(latestId, publicStreamName) || []
+    }
+
+    // Nothing is awaited between reading the backlog and subscribing, so no event falls in between
+    enqueue(async () => {
+      for (const event of missed) await write(event)
+    })
+    unsubscribe = subscribeStreamEvents((event) => enqueue(() => write(event)), publicStreamName)
+
+    keepalive = setInterval(() => enqueue(() => stream.write(': keepalive\n\n')), KEEPALIVE_MS)
+    await aborted
+  } finally {
+    clearInterval(keepalive)
+    unsubscribe?.()
+    sseConnections.dec({ feed })
+  }
+})
+
+const SNAPSHOT_FIELDS = 'publicStreamName isLive ingestType title startTime endTime viewerCount'
+
+// GET /api/events (every stream; the snapshot lists live streams only)
+events.get('/', (c) => openFeed(c, {
+  feed: 'all',
+  loadSnapshot: () => Stream.find({ isLive: true }).select(SNAPSHOT_FIELDS).lean(),
+}))
+
+// GET /api/events/:publicStreamName
+events.get('/:publicStreamName', async (c) => {
+  try {
+    const { publicStreamName } = c.req.param()
+    if (!(await Stream.exists({ publicStreamName }))) return c.text('Not found', 404)
+
+    return openFeed(c, {
+      feed: 'stream',
+      publicStreamName,
+      loadSnapshot: () => Stream.find({ publicStreamName }).select(SNAPSHOT_FIELDS).lean(),
+    })
+  } catch (err) {
+    console.error('events error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+export default events
@@ -5,7 +5,31 @@
 
 import { WebSocketServer } from 'ws';
 import { Stream } from '../models/Stream.js';
-import { getOrCreateRoom, getRoom, deleteRoom } from '../sfu/room-manager.js';
+import { getOrCreateRoom, getRoom } from '../sfu/room-manager.js';
+import { verifyChallenge } from '../auth/wallet-auth.js';
+import { getChatHistory, createChatMessage, timeoutChatUser } from '../services/chat.js';
+import { isBanned, banUser, unbanUser } from '../services/moderation.js';
+import { isRecording, startRecording, stopRecording, scheduleAutoRecording } from '../services/recordings.js';
+import { startHlsBridge, shouldFallbackToHls, ensureHlsBridge, scheduleHlsBridge } from '../services/hls-bridge.js';
+import { startSfuBroadcast, endSfuBroadcast, viewerJoined, viewerLeft, releaseRoomIfIdle } from '../services/broadcasts.js';
+import { findRoomHost, claimRoom, getSignalingUrl } from '../services/room-registry.js';
+import { isDraining, getDrainStatus } from '../services/shutdown.js';
+import { wsConnections, wsConnectionsTotal, wsMessagesTotal } from '../services/metrics.js';
+import { issueResumeToken, findResumable, holdDisconnectedPeer, resumePeer, revokeResumeToken } from '../services/reconnect-grace.js';
+import {
+  RATE_LIMIT_CLOSE_CODE,
+  NOT_REGISTERED_CLOSE_CODE,
+  ROOM_FULL_CLOSE_CODE,
+  getRateLimitSettings,
+  getClientIp,
+  acquireConnectionSlot,
+  releaseConnectionSlot,
+  createMessageLimiter,
+  takeMessageToken,
+  isRoomFull,
+} from '../services/rate-limits.js';
+
+const MAX_CHAT_TIMEOUT_SECONDS = 24 * 60 * 60;
 
 function genId() {
   return Math.random().toString(36).slice(2, 12);
@@ -14,20 +38,112 @@ function genId() {
 function parseUrl(req) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const params = Object.fromEntries(url.searchParams.entries());
-  return { pathname: url.pathname, params };
+  return { pathname: url.pathname, search: url.search, params };
+}
+
+// How long a ?resume=1 connection waits for its { type: 'resume' } message
+const RESUME_MESSAGE_TIMEOUT_MS = 5000;
+
+/**
+ * With ?resume=1 the client's first message is { type: 'resume', resumeToken }, so the token never
+ * appears in a URL (proxy and access logs). Resolves to the token, or null if none arrives in time.
+ * Must be called before the connection handler awaits anything, or the message can be missed.
+ */
+function readResumeToken(ws) {
+  return new Promise((resolve) => {
+    const done = (token) => {
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      ws.off('close', onClose);
+      resolve(token);
+    };
+    const onMessage = (data) => {
+      let msg = null;
+      try { msg = JSON.parse(data.toString()); } catch {}
+      done(msg?.type === 'resume' && typeof msg.resumeToken === 'string' ? msg.resumeToken : null);
+    };
+    const onClose = () => done(null);
+    const timer = setTimeout(() => done(null), RESUME_MESSAGE_TIMEOUT_MS);
+    ws.on('message', onMessage);
+    ws.on('close', onClose);
+  });
+}
+
+// Close code telling the client to reconnect to the `signalingUrl` sent just before
+const REDIRECT_CLOSE_CODE = 4302;
+
+/**
+ * Point a client at the instance hosting its room (multi-instance deployments)
+ */
+function redirectToNode(ws, node, search) {
+  const signalingUrl = getSignalingUrl(node, search);
+  console.log('🔌 [WS] Redirecting to node', node.nodeId, signalingUrl);
+  try {
+    ws.send(JSON.stringify({ type: 'redirect', signalingUrl, nodeId: node.nodeId }));
+  } catch {}
+  ws.close(REDIRECT_CLOSE_CODE, 'Room hosted on another node');
+}
+
+function getHeartbeatSettings() {
+  return {
+    intervalMs: (parseInt(process.env.WS_PING_INTERVAL_SECONDS) || 25) * 1000,
+    timeoutMs: (parseInt(process.env.WS_PONG_TIMEOUT_SECONDS) || 10) * 1000,
+  };
+}
+
+/**
+ * Ping every socket and terminate those that don't pong in time (half-open connections never
+ * fire `close` on their own). Terminated sockets go through the normal close handler.
+ */
+function startHeartbeat(wss) {
+  const { intervalMs, timeoutMs } = getHeartbeatSettings();
+  const timer = setInterval(() => {
+    for (const client of wss.clients) {
+      if (client.pongTimer || client.readyState !== 1) continue;
+      client.pongTimer = setTimeout(() => {
+        console.log('🔌 [WS] Terminating unresponsive socket:', client.meta?.peerId);
+        client.terminate();
+      }, timeoutMs);
+      try { client.ping(); } catch {}
+    }
+  }, intervalMs);
+  wss.on('close', () => clearInterval(timer));
 }
 
 let wss = null;
 
 function initializeStreamingWebSocketServer(server) {
-  wss = new WebSocketServer({ server, path: '/ws/stream' });
+  // Oversized messages close the socket with 1009
+  wss = new WebSocketServer({ server, path: '/ws/stream', maxPayload: getRateLimitSettings().maxMessageBytes });
+  startHeartbeat(wss);
 
   wss.on('connection', async (ws, req) => {
-    const { params } = parseUrl(req);
+    wsConnections.inc();
+    wsConnectionsTotal.inc();
+    ws.once('close', () => wsConnections.dec());
+
+    ws.pongTimer = null;
+    ws.on('pong', () => {
+      clearTimeout(ws.pongTimer);
+      ws.pongTimer = null;
+    });
+
+    const ip = getClientIp(req.headers['x-forwarded-for'], req.socket.remoteAddress);
+    if (!acquireConnectionSlot(ip)) {
+      console.log('🔌 [WS] Closing: Too many connections from', ip);
+      ws.close(RATE_LIMIT_CLOSE_CODE, 'Too many connections');
+      return;
+    }
+    ws.once('close', () => releaseConnectionSlot(ip));
+
+    const { params, search } = parseUrl(req);
     const tokenAddress = (params.tokenAddress || '').toLowerCase();
     const isCreator = params.isCreator === 'true' || params.role === 'publisher';
     const userAddress = (params.userAddress || '').toLowerCase();
-    const peerId = genId();
+    const role = isCreator ? 'publisher' : 'viewer';
+    // Replaced by the previous peerId if the socket resumes a dropped connection
+    let peerId = genId();
+    let authorizedByResumeToken = false;
 
     console.log('🔌 [WS] New connection:', { tokenAddress, isCreator, userAddress, peerId });
 
@@ -37,7 +153,35 @@ function initializeStreamingWebSocketServer(server) {
       return;
     }
 
+    const presentedToken = params.resume === '1' || params.resume === 'true' ? await readResumeToken(ws) : null;
+    if (ws.readyState !== 1) return;
+
+    // Redirect before the auth gates so a publisher's signed nonce is still unused on the right node
+    try {
+      const placement = await findRoomHost(tokenAddress);
+      if (!placement.local) {
+        redirectToNode(ws, placement.node, search);
+        return;
+      }
+    } catch (e) {
+      console.error('🔌 [WS] Room host lookup failed:', e);
+      ws.close(1011, 'Room host lookup failed');
+      return;
+    }
+
+    // Draining (rolling deploy): no new rooms or publishers; viewers of open rooms and resumes still get in
+    const resuming = !!findResumable(presentedToken, { tokenAddress, role, userAddress });
+    if (isDraining() && !resuming && (!getRoom(tokenAddress) || isCreator)) {
+      console.log('🔌 [WS] Closing: Server draining');
+      try {
+        ws.send(JSON.stringify({ type: 'server-draining', reconnect: true, reconnectAfterMs: getDrainStatus().retryAfterMs }));
+      } catch {}
+      ws.close(1013, 'Server draining');
+      return;
+    }
+
     // Gate: Only allow publisher if userAddress matches stream.userId
+    // and the socket proves control of it with a signed challenge (see POST /api/auth/challenge)
     if (isCreator) {
       if (!userAddress) {
         console.log('🔌 [WS] Closing: Missing userAddress for creator');
@@ -53,11 +197,32 @@ function initializeStreamingWebSocketServer(server) {
           ws.close(1008, 'Stream not registered');
           return;
         }
+        if (stream.disabled) {
+          console.log('🔌 [WS] Closing: Stream disabled');
+          ws.close(1008, 'Stream disabled');
+          return;
+        }
         if ((stream.userId || '').toLowerCase() !== userAddress) {
           console.log('🔌 [WS] Closing: Not authorized publisher');
           ws.close(1008, 'Not authorized publisher');
           return;
         }
+        // A valid resume token stands in for a fresh signed challenge
+        if (findResumable(presentedToken, { tokenAddress, role, userAddress })) {
+          authorizedByResumeToken = true;
+          console.log('🔌 [WS] Publisher resuming with token');
+        } else {
+          const verified = await verifyChallenge({
+            address: userAddress,
+            nonce: params.nonce,
+            signature: params.signature,
+          });
+          if (!verified.ok) {
+            console.log('🔌 [WS] Closing: Signature check failed:', verified.reason);
+            ws.close(1008, verified.reason);
+            return;
+          }
+        }
         console.log('🔌 [WS] Publisher authorized successfully');
       } catch (e) {
         console.error('🔌 [WS] Auth check failed:', e);
@@ -66,12 +231,83 @@ function initializeStreamingWebSocketServer(server) {
       }
     }
 
+    // Gate: viewers can't create rooms (and routers) for streams that don't exist
+    if (!isCreator && !getRoom(tokenAddress)) {
+      try {
+        if (!(await Stream.exists({ publicStreamName: tokenAddress }))) {
+          console.log('🔌 [WS] Closing: Viewer for unregistered stream');
+          ws.close(NOT_REGISTERED_CLOSE_CODE, 'Stream not registered');
+          return;
+        }
+      } catch (e) {
+        console.error('🔌 [WS] Stream lookup failed:', e);
+        ws.close(1011, 'Stream lookup failed');
+        return;
+      }
+    }
+
+    // Gate: a viewer claiming an address proves it with a signed challenge, like the publisher does;
+    // bans, chat timeouts and chat attribution only ever see verified addresses.
+    // A valid resume token stands in for it (it was issued to the verified socket)
+    if (!isCreator && userAddress) {
+      if (resuming) {
+        authorizedByResumeToken = true;
+      } else {
+        try {
+          const verified = await verifyChallenge({
+            address: userAddress,
+            nonce: params.nonce,
+            signature: params.signature,
+          });
+          if (!verified.ok) {
+            console.log('🔌 [WS] Closing: Viewer signature check failed:', verified.reason);
+            ws.close(1008, verified.reason);
+            return;
+          }
+        } catch (e) {
+          console.error('🔌 [WS] Viewer auth check failed:', e);
+          ws.close(1011, 'Auth check failed');
+          return;
+        }
+      }
+
+      // Gate: viewers banned by the creator are refused
+      try {
+        if (await isBanned(tokenAddress, userAddress)) {
+          console.log('🔌 [WS] Closing: Banned viewer:', userAddress);
+          ws.close(1008, 'Banned from this stream');
+          return;
+        }
+      } catch (e) {
+        console.error('🔌 [WS] Ban check failed:', e);
+        ws.close(1011, 'Ban check failed');
+        return;
+      }
+    }
+
+    // Gate: room at ROOM_MAX_VIEWERS (a resuming viewer is still counted from before the drop)
+    const existingRoom = getRoom(tokenAddress);
+    if (!isCreator && !resuming && existingRoom && isRoomFull(existingRoom)) {
+      console.log('🔌 [WS] Closing: Room full');
+      try {
+        ws.send(JSON.stringify({ type: 'room-full', maxViewers: getRateLimitSettings().roomMaxViewers }));
+      } catch {}
+      ws.close(ROOM_FULL_CLOSE_CODE, 'Room full');
+      return;
+    }
+
     // Attach metadata
-    ws.meta = { tokenAddress, role: isCreator ? 'publisher' : 'viewer', peerId, userAddress };
+    ws.meta = { tokenAddress, role, peerId, userAddress };
 
     // Get or create room
     let room;
     try {
+      const placement = await claimRoom(tokenAddress);
+      if (!placement.local) {
+        // Another node created the room while we were authorizing
+        redirectToNode(ws, placement.node, search);
+        return;
+      }
       room = await getOrCreateRoom(tokenAddress);
     } catch (e) {
       console.error('🔌 [WS] Failed to get/create room:', e);
@@ -79,108 +315,145 @@ function initializeStreamingWebSocketServer(server) {
       return;
     }
 
-    // Send initial connection info
-    try {
-      ws.send(JSON.stringify({
-        type: 'connection-success',
-        peerId,
-        role: ws.meta.role,
-        routerRtpCapabilities: room.getRouterRtpCapabilities(),
-      }));
-    } catch (e) {
-      console.error('🔌 [WS] Failed to send connection-success:', e);
+    // Closed while we were authorizing or creating the room: no close listener will clean up after it
+    if (ws.readyState !== 1) {
+      console.log('🔌 [WS] Socket closed during setup:', peerId);
+      releaseRoomIfIdle(room);
+      return;
     }
 
-    // Handle messages
+    // Resume: take back the previous peerId (held publisher slot / still-counted viewer)
+    const resumed = !!findResumable(presentedToken, { tokenAddress, role, userAddress });
+    if (resumed) {
+      peerId = resumePeer(room, presentedToken, ws);
+      ws.meta.peerId = peerId;
+    } else if (authorizedByResumeToken) {
+      // Authorized by a resume token that expired while we were checking the stream
+      console.log('🔌 [WS] Closing: Resume token expired');
+      ws.close(1008, 'Resume token expired');
+      releaseRoomIfIdle(room);
+      return;
+    }
+    // A resume rotates the token, so one seen on the wire is only good for a single reconnect
+    const resumeToken = resumed ? ws.meta.resumeToken : issueResumeToken(ws);
+    room.addPeer(peerId, ws);
+
+    // Listeners go on before anything is sent or awaited, so replies to connection-success and an
+    // early close are never missed.
+    // Messages (over the per-socket rate: refused with an error; a sustained flood closes the socket)
+    const messageLimiter = createMessageLimiter();
     ws.on('message', async (data) => {
+      const allowance = takeMessageToken(messageLimiter);
+      if (allowance !== 'ok') {
+        wsMessagesTotal.inc({ type: 'rate-limited' });
+        if (allowance === 'close') {
+          console.log('🔌 [WS] Closing: Message rate exceeded:', peerId);
+          ws.close(RATE_LIMIT_CLOSE_CODE, 'Message rate exceeded');
+        } else if (ws.readyState === 1) {
+          ws.send(JSON.stringify({ type: 'error', code: 'rate-limited', message: 'Too many messages' }));
+        }
+        return;
+      }
+
       let msg;
       try {
         msg = JSON.parse(data.toString());
       } catch {
+        wsMessagesTotal.inc({ type: 'invalid' });
+        return;
+      }
+      // Valid JSON that isn't an object (null, numbers, arrays) has no type to dispatch on
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        wsMessagesTotal.inc({ type: 'invalid' });
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid message' }));
         return;
       }
 
       const currentRoom = getRoom(tokenAddress);
       if (!currentRoom) {
+        wsMessagesTotal.inc({ type: 'no-room' });
         ws.send(JSON.stringify({ type: 'error', message: 'Room not found' }));
         return;
       }
 
       try {
-        await handleMessage(ws, currentRoom, msg);
+        const known = await handleMessage(ws, currentRoom, msg);
+        // Unknown types are bucketed so clients can't create unbounded label values
+        wsMessagesTotal.inc({ type: known ? msg.type : 'unknown' });
       } catch (e) {
+        wsMessagesTotal.inc({ type: msg?.type });
         console.error('🔌 [WS] Error handling message:', e);
-        ws.send(JSON.stringify({ type: 'error', message: e.message }));
+        try {
+          ws.send(JSON.stringify({ type: 'error', message: e.message, requestId: msg?.requestId }));
+        } catch {}
       }
     });
 
-    // Handle disconnect
+    // Disconnect
     ws.on('close', async () => {
       console.log('🔌 [WS] Connection closed:', { peerId, role: ws.meta.role });
+      clearTimeout(ws.pongTimer);
+
+      // A resumed socket has taken over this peerId
+      if (ws.meta.superseded) return;
       
       const currentRoom = getRoom(tokenAddress);
-      if (!currentRoom) return;
+      if (!currentRoom) {
+        revokeResumeToken(ws);
+        return;
+      }
 
-      if (ws.meta.role === 'publisher') {
-        // Publisher left - end stream
-        currentRoom.removePublisher();
-        
-        // Update database
-        try {
-          await Stream.findOneAndUpdate(
-            { publicStreamName: tokenAddress },
-            { isLive: false, endTime: new Date(), viewerCount: 0 }
-          );
-          console.log('🔌 [WS] Stream set to OFFLINE:', tokenAddress);
-        } catch (e) {
-          console.error('🔌 [WS] Failed to update stream status:', e);
-        }
+      currentRoom.removePeer(peerId);
 
-        // Notify all viewers
-        for (const [viewerId, viewer] of currentRoom.viewers) {
-          if (viewer.ws.readyState === 1) {
-            try {
-              viewer.ws.send(JSON.stringify({ type: 'publisher-ended' }));
-            } catch {}
-          }
-        }
+      // Within the reconnect grace period the peer keeps its place (see reconnect-grace.js)
+      if (holdDisconnectedPeer(currentRoom, ws)) return;
 
-        // Clean up room if no viewers
-        if (currentRoom.getViewerCount() === 0) {
-          deleteRoom(tokenAddress);
-        }
+      // Only the socket that owns the room's publisher ends the broadcast (a creator socket that
+      // never created a producer transport, e.g. while an RTMP relay is publishing, does not)
+      if (ws.meta.role === 'publisher' && currentRoom.publisher?.peerId === peerId) {
+        await endSfuBroadcast(currentRoom);
+      } else if (ws.meta.role === 'viewer') {
+        await viewerLeft(currentRoom, peerId);
       } else {
-        // Viewer left
-        const remainingViewers = currentRoom.removeViewer(peerId);
-        
-        // Update viewer count in database
-        try {
-          await Stream.findOneAndUpdate(
-            { publicStreamName: tokenAddress },
-            { viewerCount: remainingViewers }
-          );
-        } catch (e) {
-          console.error('🔌 [WS] Failed to update viewer count:', e);
-        }
-
-        // Broadcast updated viewer count
-        broadcastViewerCount(currentRoom, remainingViewers);
-
-        // Clean up room if empty
-        if (!currentRoom.hasPublisher() && remainingViewers === 0) {
-          deleteRoom(tokenAddress);
-        }
+        releaseRoomIfIdle(currentRoom);
       }
     });
 
     ws.on('error', (e) => {
       console.error('🔌 [WS] WebSocket error:', e);
     });
+
+    if (resumed && isCreator && room.publisher?.peerId === peerId) {
+      room.broadcast({ type: 'publisher-reconnected' }, { except: peerId });
+    }
+
+    // Send initial connection info
+    try {
+      ws.send(JSON.stringify({
+        type: 'connection-success',
+        peerId,
+        role: ws.meta.role,
+        resumeToken,
+        resumed,
+        routerRtpCapabilities: room.getRouterRtpCapabilities(),
+      }));
+    } catch (e) {
+      console.error('🔌 [WS] Failed to send connection-success:', e);
+    }
+
+    // Send recent chat so late joiners have context (not awaited: setup is done and the listeners are attached)
+    getChatHistory(tokenAddress)
+      .then((messages) => {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'chat-history', messages }));
+      })
+      .catch(e => console.error('🔌 [WS] Failed to send chat history:', e));
   });
+
+  return wss;
 }
 
 /**
- * Handle incoming WebSocket messages
+ * Handle incoming WebSocket messages; returns false for unknown message types
  */
 async function handleMessage(ws, room, msg) {
   const { type, requestId } = msg;
@@ -198,18 +471,12 @@ async function handleMessage(ws, room, msg) {
     case 'create-producer-transport': {
       if (!isPublisher) throw new Error('Only publisher can create producer transport');
       
+      // Re-running setup (resumed connection, or reconnect-required after a worker died) keeps the broadcast and its session
+      const resuming = room.publisher?.peerId === peerId;
       const transportParams = await room.setPublisher(peerId, ws);
       
-      // Update stream to live
-      try {
-        await Stream.findOneAndUpdate(
-          { publicStreamName: room.tokenAddress },
-          { isLive: true, startTime: new Date(), viewerCount: room.getViewerCount() }
-        );
-        console.log('🔌 [WS] Stream set to LIVE:', room.tokenAddress);
-      } catch (e) {
-        console.error('🔌 [WS] Failed to update stream status:', e);
-      }
+      // Update stream to live and start a session record
+      if (!resuming) await startSfuBroadcast(room);
       
       respond({
         type: 'producer-transport-created',
@@ -241,6 +508,28 @@ async function handleMessage(ws, room, msg) {
         type: 'viewer-count',
         count: room.getViewerCount(),
       }));
+
+      if (room.autoRecord && !isRecording(room.tokenAddress)) {
+        scheduleAutoRecording(room, { onStopped: notifyRecordingStopped(room) });
+      }
+      scheduleHlsBridge(room);
+      break;
+    }
+
+    case 'start-recording': {
+      if (!isPublisher) throw new Error('Only publisher can start recording');
+
+      const recording = await startRecording(room, { onStopped: notifyRecordingStopped(room) });
+      respond({ type: 'recording-started', recordingId: String(recording._id), format: recording.format });
+      break;
+    }
+
+    case 'stop-recording': {
+      if (!isPublisher) throw new Error('Only publisher can stop recording');
+
+      const recording = await stopRecording(room.tokenAddress, { notify: false });
+      if (!recording) throw new Error('Not recording');
+      respond(recordingStoppedMessage(recording));
       break;
     }
 
@@ -248,22 +537,22 @@ async function handleMessage(ws, room, msg) {
 
     case 'create-consumer-transport': {
       if (isPublisher) throw new Error('Publisher should not create consumer transport');
+
+      // Over the WebRTC viewer cap: send the viewer to the HLS bridge instead
+      if (shouldFallbackToHls(room)) {
+        if (!room.hasPublisher()) throw new Error('Room is full');
+        const url = await startHlsBridge(room);
+        respond({ type: 'hls-fallback', url });
+        break;
+      }
       
+      // A resumed viewer is still counted from before the drop
+      const resuming = room.viewers.has(peerId);
       const transportParams = await room.addViewer(peerId, ws);
+      ensureHlsBridge(room);
       
-      // Update viewer count
-      const viewerCount = room.getViewerCount();
-      try {
-        await Stream.findOneAndUpdate(
-          { publicStreamName: room.tokenAddress },
-          { viewerCount }
-        );
-      } catch (e) {
-        console.error('🔌 [WS] Failed to update viewer count:', e);
-      }
-      
-      // Broadcast viewer count
-      broadcastViewerCount(room, viewerCount);
+      // Update and broadcast viewer count
+      if (!resuming) await viewerJoined(room, peerId, ws.meta.userAddress);
       
       respond({
         type: 'consumer-transport-created',
@@ -310,6 +599,25 @@ async function handleMessage(ws, room, msg) {
       break;
     }
 
+    case 'set-preferred-layers': {
+      if (isPublisher) throw new Error('Publisher has no consumers');
+
+      // { consumerId, spatialLayer, temporalLayer? } pins layers; { consumerId, mode: 'auto' } returns to auto selection
+      const auto = msg.mode === 'auto';
+      const preferredLayers = await room.setPreferredLayers(
+        peerId,
+        msg.consumerId,
+        auto ? null : { spatialLayer: msg.spatialLayer, temporalLayer: msg.temporalLayer }
+      );
+      respond({
+        type: 'preferred-layers-set',
+        consumerId: msg.consumerId,
+        layerMode: auto ? 'auto' : 'manual',
+        preferredLayers,
+      });
+      break;
+    }
+
     // ===== Common messages =====
 
     case 'get-producers': {
@@ -321,6 +629,79 @@ async function handleMessage(ws, room, msg) {
       break;
     }
 
+    // ===== Chat =====
+
+    case 'chat-send': {
+      // ws.meta.userAddress is only ever set once the address was proven on connect; anonymous otherwise
+      const message = await createChatMessage({
+        publicStreamName: room.tokenAddress,
+        peerId,
+        userAddress: ws.meta.userAddress,
+        isCreator: isPublisher,
+        text: msg.text,
+      });
+      respond({ type: 'chat-sent', id: message.id });
+      room.broadcast({ type: 'chat-message', message });
+      break;
+    }
+
+    // ===== Moderation (publisher only) =====
+
+    case 'kick-viewer': {
+      if (!isPublisher) throw new Error('Only publisher can kick viewers');
+
+      const targets = findModerationTargets(room, msg);
+      if (targets.length === 0) throw new Error('Viewer not found');
+
+      for (const [targetId, targetWs] of targets) {
+        disconnectPeer(room, targetId, targetWs, 'kicked', msg.reason);
+      }
+      respond({ type: 'viewer-kicked', peerIds: targets.map(([id]) => id) });
+      break;
+    }
+
+    case 'ban-viewer': {
+      if (!isPublisher) throw new Error('Only publisher can ban viewers');
+
+      const targets = findModerationTargets(room, msg);
+      const userAddress = resolveTargetAddress(msg, targets);
+      if (!userAddress) throw new Error('Viewer has no userAddress to ban; use kick-viewer');
+
+      await banUser(room.tokenAddress, userAddress, { reason: msg.reason || '', bannedBy: ws.meta.userAddress });
+
+      const peerIds = disconnectBannedViewer(room.tokenAddress, userAddress, msg.reason);
+      respond({ type: 'viewer-banned', userAddress, peerIds });
+      break;
+    }
+
+    case 'unban-viewer': {
+      if (!isPublisher) throw new Error('Only publisher can unban viewers');
+      if (!msg.userAddress) throw new Error('Missing userAddress');
+
+      const removed = await unbanUser(room.tokenAddress, msg.userAddress);
+      respond({ type: 'viewer-unbanned', userAddress: msg.userAddress.toLowerCase(), removed });
+      break;
+    }
+
+    case 'timeout-viewer': {
+      if (!isPublisher) throw new Error('Only publisher can time out viewers');
+
+      const durationSeconds = Math.min(parseInt(msg.durationSeconds) || 300, MAX_CHAT_TIMEOUT_SECONDS);
+      const targets = findModerationTargets(room, msg);
+      const userAddress = resolveTargetAddress(msg, targets);
+      // Anonymous viewers are muted by peerId
+      const senderKey = userAddress || targets[0]?.[0];
+      if (!senderKey) throw new Error('Viewer not found');
+
+      const until = timeoutChatUser(room.tokenAddress, senderKey, durationSeconds * 1000);
+      const muted = userAddress ? findModerationTargets(room, { userAddress }) : targets;
+      for (const [, targetWs] of muted) {
+        try { targetWs.send(JSON.stringify({ type: 'chat-timeout', until, reason: msg.reason || '' })); } catch {}
+      }
+      respond({ type: 'viewer-timed-out', target: senderKey, until });
+      break;
+    }
+
     case 'ping': {
       respond({ type: 'pong' });
       break;
@@ -328,26 +709,80 @@ async function handleMessage(ws, room, msg) {
 
     default:
       console.log('🔌 [WS] Unknown message type:', type);
+      return false;
   }
+  return true;
+}
+
+function recordingStoppedMessage(recording) {
+  return {
+    type: 'recording-stopped',
+    recordingId: String(recording._id),
+    status: recording.status,
+    durationSeconds: recording.durationSeconds,
+    error: recording.error,
+  };
 }
 
 /**
- * Broadcast viewer count to all connected clients in a room
+ * Tell the publisher a recording has ended (publisher left, auto-record or ffmpeg exited)
  */
-function broadcastViewerCount(room, count) {
-  const msg = JSON.stringify({ type: 'viewer-count', count });
-  
-  // Send to publisher
-  if (room.publisher && room.publisher.ws.readyState === 1) {
-    try { room.publisher.ws.send(msg); } catch {}
-  }
-  
-  // Send to all viewers
-  for (const viewer of room.viewers.values()) {
-    if (viewer.ws.readyState === 1) {
-      try { viewer.ws.send(msg); } catch {}
+function notifyRecordingStopped(room) {
+  return (recording) => {
+    const publisherWs = room.publisher?.ws;
+    if (!recording || !publisherWs || publisherWs.readyState !== 1) return;
+    try { publisherWs.send(JSON.stringify(recordingStoppedMessage(recording))); } catch {}
+  };
+}
+
+/**
+ * Find non-publisher sockets in a room by peerId and/or userAddress
+ */
+function findModerationTargets(room, { peerId, userAddress }) {
+  const address = (userAddress || '').toLowerCase();
+  const targets = [];
+  for (const [id, peerWs] of room.peers) {
+    if (peerWs.meta?.role === 'publisher') continue;
+    if ((peerId && id === peerId) || (address && peerWs.meta?.userAddress === address)) {
+      targets.push([id, peerWs]);
     }
   }
+  return targets;
+}
+
+/**
+ * Address to moderate: explicit userAddress, else the first target's address
+ */
+function resolveTargetAddress(msg, targets) {
+  if (msg.userAddress) return msg.userAddress.toLowerCase();
+  const withAddress = targets.find(([, peerWs]) => peerWs.meta.userAddress);
+  return withAddress ? withAddress[1].meta.userAddress : '';
+}
+
+/**
+ * Remove a viewer's transports, tell them why and close their socket.
+ * The socket close handler then updates counts and analytics.
+ */
+function disconnectPeer(room, peerId, peerWs, reason, detail) {
+  revokeResumeToken(peerWs);
+  room.removeViewer(peerId);
+  if (peerWs.readyState === 1) {
+    try { peerWs.send(JSON.stringify({ type: reason, reason: detail || '' })); } catch {}
+    try { peerWs.close(1008, reason === 'banned' ? 'Banned from this stream' : 'Kicked by creator'); } catch {}
+  }
+}
+
+/**
+ * Disconnect every socket of a banned address; returns affected peerIds
+ */
+function disconnectBannedViewer(tokenAddress, userAddress, reason) {
+  const room = getRoom(tokenAddress);
+  if (!room) return [];
+  const targets = findModerationTargets(room, { userAddress });
+  for (const [targetId, targetWs] of targets) {
+    disconnectPeer(room, targetId, targetWs, 'banned', reason);
+  }
+  return targets.map(([id]) => id);
 }
 
-export { initializeStreamingWebSocketServer };
+export { initializeStreamingWebSocketServer, disconnectBannedViewer };
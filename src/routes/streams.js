@@ -1,33 +1,183 @@
 import { Hono } from 'hono'
 import crypto from 'crypto'
+import mongoose from 'mongoose'
+import { createReadStream } from 'fs'
+import { stat } from 'fs/promises'
+import { Readable } from 'stream'
 import { Stream } from '../models/Stream.js'
+import { StreamSession } from '../models/StreamSession.js'
+import { Recording } from '../models/Recording.js'
+import { requireAuth, isStreamOwner } from '../middleware/auth.js'
+import { isTokenStreamName, checkTokenOwnership } from '../auth/token-ownership.js'
+import { getRoom } from '../sfu/room-manager.js'
+import { getSessionAnalytics } from '../services/viewer-analytics.js'
+import { closeSession } from '../services/stream-sessions.js'
+import { banUser, unbanUser, listBans } from '../services/moderation.js'
+import { disconnectBannedViewer } from './streaming-ws.js'
+import { stopRtmpRelay } from '../services/rtmp-relay.js'
+import { closeWhipSession, closeWhepSessionsFor } from '../services/whip-whep.js'
+import { revokeResumeToken } from '../services/reconnect-grace.js'
+import { publishStreamEvent } from '../services/stream-events.js'
+import { notifyStreamCreated } from '../services/outbound-webhooks.js'
+import { streamsRateLimit } from '../middleware/rate-limit.js'
 
 const streams = new Hono()
 
-// Create a stream and issue a streamKey
-streams.post('/', async (c) => {
+streams.use('*', streamsRateLimit)
+
+const generateStreamKey = () => crypto.randomBytes(24).toString('hex')
+
+const maskStreamKey = (key) => `${key.slice(0, 4)}********${key.slice(-4)}`
+
+const rtmpHints = (streamKey) => ({
+  url: process.env.RTMP_INGEST_URL || 'rtmp://localhost/live',
+  streamKey,
+})
+
+// Public view of a stream document (never includes streamKey)
+const toPublicStream = (doc) => ({
+  userId: doc.userId,
+  publicStreamName: doc.publicStreamName,
+  title: doc.title,
+  description: doc.description,
+  thumbnailUrl: doc.thumbnailUrl,
+  tags: doc.tags,
+  isLive: doc.isLive,
+  startTime: doc.startTime,
+  endTime: doc.endTime,
+  viewerCount: doc.viewerCount,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+})
+
+const SORT_FIELDS = ['updatedAt', 'viewerCount', 'startTime']
+const MAX_PAGE_SIZE = 100
+
+// Cursor = base64url({ v: last sort value, id: last _id }) for stable keyset pagination
+const encodeCursor = (doc, sortField) => Buffer.from(JSON.stringify({
+  v: doc[sortField] instanceof Date ? doc[sortField].toISOString() : doc[sortField],
+  id: String(doc._id),
+})).toString('base64url')
+
+const decodeCursor = (cursor, sortField) => {
   try {
-    const body = await c.req.json()
-    const { userId, publicStreamName, title } = body || {}
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (!id || !mongoose.isValidObjectId(id)) return null
+    const value = sortField === 'viewerCount' ? v : (v === null ? null : new Date(v))
+    return { value, id: new mongoose.Types.ObjectId(id) }
+  } catch {
+    return null
+  }
+}
+
+// Metadata fields an owner may PATCH, with validators
+const EDITABLE_FIELDS = {
+  title: (v) => typeof v === 'string' && v.length <= 140,
+  description: (v) => typeof v === 'string' && v.length <= 2000,
+  thumbnailUrl: (v) => v === null || (typeof v === 'string' && /^https?:\/\//.test(v)),
+  tags: (v) => Array.isArray(v) && v.length <= 10 && v.every(t => typeof t === 'string' && t.length <= 32),
+  autoRecord: (v) => typeof v === 'boolean',
+}
+
+// Fields accepted by POST /api/streams, with validators
+const CREATE_FIELDS = {
+  publicStreamName: (v) => typeof v === 'string' && /^[a-zA-Z0-9_-]{1,64}$/.test(v),
+  title: EDITABLE_FIELDS.title,
+  userId: (v) => typeof v === 'string',
+}
 
-    console.log('📺 [Streams] POST /api/streams:', { userId, publicStreamName, title })
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 
-    if (!userId || !publicStreamName) {
+// Lookup filter for a name from the URL: new streams are stored lowercase (so a checksummed address
+// finds them), older ones under the exact name they were created with
+const byStreamName = (publicStreamName) => ({
+  publicStreamName: { $in: [...new Set([publicStreamName, publicStreamName.toLowerCase()])] },
+})
+
+// Load a stream by public name and check the authenticated principal owns it
+// Returns { doc } or { response } to return as-is
+const loadOwnedStream = async (c) => {
+  const { publicStreamName } = c.req.param()
+  const doc = await Stream.findOne(byStreamName(publicStreamName))
+  if (!doc) return { response: c.text('Not found', 404) }
+  if (!isStreamOwner(doc, c.get('principal'))) {
+    console.log('📺 [Streams] Not the stream owner:', publicStreamName)
+    return { response: c.json({ error: 'Forbidden' }, 403) }
+  }
+  return { doc }
+}
+
+// RTMP sessions are dropped by nginx on the next on_update; mark the stream offline
+// now since publish_done will arrive with a key that no longer matches
+// Returns true if it did (publish the offline event once the doc is saved)
+const endRtmpSession = (doc) => {
+  if (!doc.isLive || doc.ingestType !== 'rtmp') return false
+  doc.isLive = false
+  doc.endTime = new Date()
+  doc.viewerCount = 0
+  stopRtmpRelay(doc.publicStreamName).catch(e => console.error('📺 [Streams] stop relay error:', e))
+  // Nothing else closes the session: publish_done won't match and the reconciler only checks live streams
+  closeSession(doc.publicStreamName, doc.endTime).catch(e => console.error('📺 [Streams] close session error:', e))
+  return true
+}
+
+// The WS close handler tears down the publisher and marks the stream offline
+const kickSfuPublisher = async (doc, reason) => {
+  const room = getRoom(doc.publicStreamName)
+  if (room?.publisher?.ws && room.publisher.ws.readyState === 1) {
+    // No reconnect grace: the broadcast ends as soon as the socket closes
+    revokeResumeToken(room.publisher.ws)
+    try { room.publisher.ws.close(1008, reason) } catch {}
+  }
+  await closeWhipSession(doc.publicStreamName)
+}
+
+// Create a stream and issue a streamKey (owner is the authenticated wallet)
+streams.post('/', requireAuth, async (c) => {
+  try {
+    // The owner is always the authenticated wallet; userId in the body is only checked against it
+    const principal = c.get('principal')
+    const body = await c.req.json().catch(() => null)
+    if (!body || typeof body !== 'object') return c.json({ error: 'Invalid body' }, 400)
+    const { userId, title } = body
+
+    console.log('📺 [Streams] POST /api/streams:', { userId: principal.userId, publicStreamName: body.publicStreamName, title })
+
+    if (!body.publicStreamName) {
       console.log('📺 [Streams] Missing required fields')
-      return c.json({ error: 'userId and publicStreamName are required' }, 400)
+      return c.json({ error: 'publicStreamName is required' }, 400)
+    }
+    const invalid = Object.entries(CREATE_FIELDS).find(([field, valid]) => body[field] !== undefined && !valid(body[field]))
+    if (invalid) return c.json({ error: `Invalid ${invalid[0]}` }, 400)
+
+    if (userId !== undefined && userId.toLowerCase() !== principal.userId) {
+      console.log('📺 [Streams] userId does not match authenticated wallet')
+      return c.json({ error: 'userId must match the authenticated wallet' }, 403)
+    }
+
+    // Rooms and WebSocket clients address streams in lowercase, so names are stored that way
+    const publicStreamName = body.publicStreamName.toLowerCase()
+
+    // A token's stream can only be claimed by the token's owner
+    if (isTokenStreamName(publicStreamName)) {
+      const ownership = await checkTokenOwnership(publicStreamName, principal.userId)
+      if (!ownership.ok) {
+        console.log('📺 [Streams] Token ownership check refused:', { publicStreamName, reason: ownership.reason })
+        return c.json({ error: ownership.reason }, ownership.status)
+      }
     }
 
-    // Ensure uniqueness for publicStreamName
-    const exists = await Stream.findOne({ publicStreamName })
+    // Ensure uniqueness for publicStreamName (older streams may store checksummed addresses)
+    const exists = await Stream.findOne({ publicStreamName: { $regex: `^${escapeRegex(publicStreamName)}$`, $options: 'i' } })
     if (exists) {
       console.log('📺 [Streams] Stream already exists:', exists._id)
       return c.json({ error: 'publicStreamName already exists' }, 409)
     }
 
-    const streamKey = crypto.randomBytes(24).toString('hex')
+    const streamKey = generateStreamKey()
 
     const doc = await Stream.create({
-      userId,
+      userId: principal.userId,
       publicStreamName,
       title: title || '',
       streamKey,
@@ -35,6 +185,7 @@ streams.post('/', async (c) => {
     })
 
     console.log('📺 [Streams] Stream created:', { id: doc._id, userId: doc.userId, publicStreamName: doc.publicStreamName })
+    notifyStreamCreated(doc)
 
     return c.json({
       id: doc._id,
@@ -43,44 +194,402 @@ streams.post('/', async (c) => {
       title: doc.title,
       createdAt: doc.createdAt,
       // Return masked key and RTMP hints
-      streamKey: `${doc.streamKey.slice(0, 4)}********${doc.streamKey.slice(-4)}`,
-      rtmp: {
-        url: process.env.RTMP_INGEST_URL || 'rtmp://localhost/live',
-        streamKey: doc.streamKey,
-      }
+      streamKey: maskStreamKey(doc.streamKey),
+      rtmp: rtmpHints(doc.streamKey)
     }, 201)
   } catch (err) {
+    // Lost a race with another create for the same name
+    if (err.code === 11000) return c.json({ error: 'publicStreamName already exists' }, 409)
     console.error('📺 [Streams] create stream error:', err)
     return c.text('Server error', 500)
   }
 })
 
+// List/discover streams
+// Query: isLive, userId, q (title text search), sort (updatedAt|viewerCount|startTime), order (asc|desc), limit, cursor
+streams.get('/', async (c) => {
+  try {
+    const { isLive, userId, q, cursor } = c.req.query()
+    const sortField = c.req.query('sort') || 'updatedAt'
+    const direction = c.req.query('order') === 'asc' ? 1 : -1
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, MAX_PAGE_SIZE)
+
+    if (!SORT_FIELDS.includes(sortField)) {
+      return c.json({ error: `sort must be one of ${SORT_FIELDS.join(', ')}` }, 400)
+    }
+
+    const filter = { disabled: { $ne: true } }
+    if (isLive === 'true' || isLive === 'false') filter.isLive = isLive === 'true'
+    // Older streams may store checksummed addresses; match case-insensitively
+    if (userId) filter.userId = { $regex: `^${escapeRegex(userId)}$`, $options: 'i' }
+    if (q) filter.$text = { $search: q }
+
+    if (cursor) {
+      const after = decodeCursor(cursor, sortField)
+      if (!after) return c.json({ error: 'Invalid cursor' }, 400)
+      const op = direction === -1 ? '$lt' : '$gt'
+      filter.$or = [
+        { [sortField]: { [op]: after.value } },
+        { [sortField]: after.value, _id: { [op]: after.id } },
+      ]
+      // Nulls (e.g. never-live startTime) sort lowest
+      if (direction === -1 && after.value !== null) filter.$or.push({ [sortField]: null })
+      if (direction === 1 && after.value === null) filter.$or.push({ [sortField]: { $ne: null } })
+    }
+
+    const docs = await Stream.find(filter)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean()
+
+    const hasMore = docs.length > limit
+    const page = hasMore ? docs.slice(0, limit) : docs
+
+    return c.json({
+      streams: page.map(toPublicStream),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+    })
+  } catch (err) {
+    console.error('📺 [Streams] list streams error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
 // Get stream (by public name)
 streams.get('/:publicStreamName', async (c) => {
   try {
     const { publicStreamName } = c.req.param()
     console.log('📺 [Streams] GET /api/streams/:publicStreamName:', publicStreamName)
     
-    const doc = await Stream.findOne({ publicStreamName }).lean()
+    const doc = await Stream.findOne(byStreamName(publicStreamName)).lean()
     if (!doc) {
       console.log('📺 [Streams] Stream not found')
       return c.text('Not found', 404)
     }
     
     console.log('📺 [Streams] Stream found:', { userId: doc.userId, isLive: doc.isLive })
+    return c.json(toPublicStream(doc))
+  } catch (err) {
+    console.error('📺 [Streams] get stream error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Past broadcasts for a stream, newest first
+// Query: limit, before (ISO startTime of the last item from the previous page)
+streams.get('/:publicStreamName/sessions', async (c) => {
+  try {
+    const { publicStreamName } = c.req.param()
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, MAX_PAGE_SIZE)
+    const before = c.req.query('before')
+
+    const stream = await Stream.findOne(byStreamName(publicStreamName)).select('publicStreamName').lean()
+    if (!stream) return c.text('Not found', 404)
+
+    const filter = { publicStreamName: stream.publicStreamName }
+    if (before) {
+      const beforeDate = new Date(before)
+      if (isNaN(beforeDate.getTime())) return c.json({ error: 'Invalid before' }, 400)
+      filter.startTime = { $lt: beforeDate }
+    }
+
+    const sessions = await StreamSession.find(filter)
+      .sort({ startTime: -1 })
+      .limit(limit)
+      .lean()
+
+    return c.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        ingestType: s.ingestType,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        durationSeconds: s.durationSeconds,
+        peakViewers: s.peakViewers,
+        avgViewers: s.avgViewers,
+      })),
+      nextBefore: sessions.length === limit ? sessions[sessions.length - 1].startTime : null,
+    })
+  } catch (err) {
+    console.error('📺 [Streams] list sessions error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Viewer analytics for one session (owner only)
+// Query: interval (seconds between time-series samples, default 60)
+streams.get('/:publicStreamName/sessions/:sessionId/analytics', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const { sessionId } = c.req.param()
+    if (!mongoose.isValidObjectId(sessionId)) return c.text('Not found', 404)
+
+    const session = await StreamSession.findOne({ _id: sessionId, publicStreamName: doc.publicStreamName }).lean()
+    if (!session) return c.text('Not found', 404)
+
+    const intervalSeconds = Math.max(parseInt(c.req.query('interval')) || 60, 5)
+    const analytics = await getSessionAnalytics(session, { intervalSeconds })
+
+    return c.json(analytics)
+  } catch (err) {
+    console.error('📺 [Streams] session analytics error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Recordings of a stream, newest first (owner only)
+// Query: sessionId? to filter to one broadcast
+streams.get('/:publicStreamName/recordings', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const filter = { publicStreamName: doc.publicStreamName }
+    const sessionId = c.req.query('sessionId')
+    if (sessionId) {
+      if (!mongoose.isValidObjectId(sessionId)) return c.json({ error: 'Invalid sessionId' }, 400)
+      filter.sessionId = sessionId
+    }
+
+    const recordings = await Recording.find(filter).sort({ startedAt: -1 }).limit(MAX_PAGE_SIZE).lean()
+    return c.json({
+      recordings: recordings.map(r => ({
+        id: r._id,
+        sessionId: r.sessionId,
+        format: r.format,
+        status: r.status,
+        startedAt: r.startedAt,
+        endedAt: r.endedAt,
+        durationSeconds: r.durationSeconds,
+        sizeBytes: r.sizeBytes,
+        error: r.error,
+      })),
+    })
+  } catch (err) {
+    console.error('📺 [Streams] list recordings error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Download a completed recording file (owner only)
+streams.get('/:publicStreamName/recordings/:recordingId/file', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const { recordingId } = c.req.param()
+    if (!mongoose.isValidObjectId(recordingId)) return c.text('Not found', 404)
+
+    const recording = await Recording.findOne({ _id: recordingId, publicStreamName: doc.publicStreamName }).lean()
+    if (!recording || recording.status !== 'completed') return c.text('Not found', 404)
+
+    const info = await stat(recording.filePath).catch(() => null)
+    if (!info) return c.text('Not found', 404)
+
+    return c.body(Readable.toWeb(createReadStream(recording.filePath)), 200, {
+      'Content-Type': recording.format === 'mp4' ? 'video/mp4' : 'video/webm',
+      'Content-Length': String(info.size),
+      'Content-Disposition': `attachment; filename="${doc.publicStreamName}-${recording.startedAt.getTime()}.${recording.format}"`,
+    })
+  } catch (err) {
+    console.error('📺 [Streams] download recording error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Update stream metadata (owner only)
+streams.patch('/:publicStreamName', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const body = await c.req.json().catch(() => null)
+    if (!body || typeof body !== 'object') return c.json({ error: 'Invalid body' }, 400)
+
+    const unknown = Object.keys(body).filter(k => !(k in EDITABLE_FIELDS))
+    if (unknown.length) {
+      return c.json({ error: `Fields not editable: ${unknown.join(', ')}` }, 400)
+    }
+
+    const previousTitle = doc.title
+    for (const [field, value] of Object.entries(body)) {
+      if (!EDITABLE_FIELDS[field](value)) {
+        return c.json({ error: `Invalid ${field}` }, 400)
+      }
+      doc[field] = value
+    }
+    await doc.save()
+    if (doc.title !== previousTitle) {
+      publishStreamEvent('title-changed', doc.publicStreamName, { title: doc.title })
+    }
+
+    console.log('📺 [Streams] Stream updated:', { publicStreamName: doc.publicStreamName, fields: Object.keys(body) })
+    return c.json(toPublicStream(doc))
+  } catch (err) {
+    console.error('📺 [Streams] update stream error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Delete a stream (owner only; must be offline)
+streams.delete('/:publicStreamName', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    if (doc.isLive) {
+      return c.json({ error: 'Stream is live; end it before deleting' }, 409)
+    }
+
+    await doc.deleteOne()
+
+    console.log('📺 [Streams] Stream deleted:', doc.publicStreamName)
+    return c.json({ deleted: true, publicStreamName: doc.publicStreamName })
+  } catch (err) {
+    console.error('📺 [Streams] delete stream error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// List banned viewers (owner only)
+streams.get('/:publicStreamName/bans', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const bans = await listBans(doc.publicStreamName)
+    return c.json({
+      bans: bans.map(b => ({ userAddress: b.userAddress, reason: b.reason, bannedBy: b.bannedBy, createdAt: b.createdAt })),
+    })
+  } catch (err) {
+    console.error('📺 [Streams] list bans error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Ban a viewer by address; connected sockets are disconnected (owner only)
+streams.post('/:publicStreamName/bans', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const body = await c.req.json().catch(() => ({}))
+    const { userAddress, reason } = body || {}
+    if (!userAddress || typeof userAddress !== 'string') return c.json({ error: 'userAddress is required' }, 400)
+    if (userAddress.toLowerCase() === c.get('principal').userId) return c.json({ error: 'Cannot ban yourself' }, 400)
+
+    const ban = await banUser(doc.publicStreamName, userAddress, {
+      reason: typeof reason === 'string' ? reason : '',
+      bannedBy: c.get('principal').userId,
+    })
+    const peerIds = [
+      ...disconnectBannedViewer(doc.publicStreamName, ban.userAddress, ban.reason),
+      ...closeWhepSessionsFor(doc.publicStreamName, ban.userAddress),
+    ]
+
+    return c.json({ userAddress: ban.userAddress, reason: ban.reason, createdAt: ban.createdAt, disconnected: peerIds.length }, 201)
+  } catch (err) {
+    console.error('📺 [Streams] ban error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Lift a ban (owner only)
+streams.delete('/:publicStreamName/bans/:userAddress', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const removed = await unbanUser(doc.publicStreamName, c.req.param('userAddress'))
+    if (!removed) return c.text('Not found', 404)
+
+    return c.json({ userAddress: c.req.param('userAddress').toLowerCase(), removed: true })
+  } catch (err) {
+    console.error('📺 [Streams] unban error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Reveal the current streamKey (owner only)
+streams.get('/:publicStreamName/key', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    console.log('📺 [Streams] Stream key revealed:', doc.publicStreamName)
     return c.json({
-      userId: doc.userId,
       publicStreamName: doc.publicStreamName,
-      title: doc.title,
-      isLive: doc.isLive,
-      startTime: doc.startTime,
-      endTime: doc.endTime,
-      viewerCount: doc.viewerCount,
-      createdAt: doc.createdAt,
-      updatedAt: doc.updatedAt,
+      streamKey: maskStreamKey(doc.streamKey),
+      rtmp: rtmpHints(doc.streamKey),
+      keyRotatedAt: doc.keyRotatedAt,
+      disabled: doc.disabled,
     })
   } catch (err) {
-    console.error('📺 [Streams] get stream error:', err)
+    console.error('📺 [Streams] reveal key error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Rotate the streamKey; the old key stops working immediately (owner only)
+streams.post('/:publicStreamName/key/rotate', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const ended = endRtmpSession(doc)
+    doc.streamKey = generateStreamKey()
+    doc.keyRotatedAt = new Date()
+    await doc.save()
+    if (ended) publishStreamEvent('offline', doc.publicStreamName, { endTime: doc.endTime })
+
+    console.log('📺 [Streams] Stream key rotated:', doc.publicStreamName)
+    return c.json({
+      publicStreamName: doc.publicStreamName,
+      streamKey: maskStreamKey(doc.streamKey),
+      rtmp: rtmpHints(doc.streamKey),
+      keyRotatedAt: doc.keyRotatedAt,
+    })
+  } catch (err) {
+    console.error('📺 [Streams] rotate key error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Disable a stream: RTMP on_publish returns 403 and WS/WHIP publishers are refused (owner only)
+streams.post('/:publicStreamName/disable', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    const ended = endRtmpSession(doc)
+    await kickSfuPublisher(doc, 'Stream disabled')
+    doc.disabled = true
+    await doc.save()
+    if (ended) publishStreamEvent('offline', doc.publicStreamName, { endTime: doc.endTime })
+
+    console.log('📺 [Streams] Stream disabled:', doc.publicStreamName)
+    return c.json({ publicStreamName: doc.publicStreamName, disabled: true })
+  } catch (err) {
+    console.error('📺 [Streams] disable stream error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// Re-enable a disabled stream (owner only)
+streams.post('/:publicStreamName/enable', requireAuth, async (c) => {
+  try {
+    const { doc, response } = await loadOwnedStream(c)
+    if (response) return response
+
+    doc.disabled = false
+    await doc.save()
+
+    console.log('📺 [Streams] Stream enabled:', doc.publicStreamName)
+    return c.json({ publicStreamName: doc.publicStreamName, disabled: false })
+  } catch (err) {
+    console.error('📺 [Streams] enable stream error:', err)
     return c.text('Server error', 500)
   }
 })
@@ -0,0 +1,225 @@
+import { Hono } from 'hono'
+import mongoose from 'mongoose'
+import { WebhookSubscription } from '../models/WebhookSubscription.js'
+import { WebhookDelivery } from '../models/WebhookDelivery.js'
+import { WEBHOOK_EVENTS, generateWebhookSecret, replayDelivery, pingSubscription } from '../services/outbound-webhooks.js'
+
+// Outbound webhook subscriptions and their delivery log (mounted under /api/admin)
+const webhookSubscriptions = new Hono()
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed']
+
+const maskSecret = (secret) => `${secret.slice(0, 10)}********${secret.slice(-4)}`
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id)
+
+// Fields an admin may set, with validators
+const SUBSCRIPTION_FIELDS = {
+  url: (v) => typeof v === 'string' && v.length <= 2000 && /^https?:\/\//.test(v),
+  events: (v) => Array.isArray(v) && v.length > 0 && v.every(e => e === '*' || WEBHOOK_EVENTS.includes(e)),
+  description: (v) => typeof v === 'string' && v.length <= 500,
+  enabled: (v) => typeof v === 'boolean',
+}
+
+// Returns an error message, or null if every field is known and valid
+const validateFields = (body) => {
+  const unknown = Object.keys(body).filter(k => !(k in SUBSCRIPTION_FIELDS))
+  if (unknown.length) return `Unknown fields: ${unknown.join(', ')}`
+  const invalid = Object.entries(body).find(([field, value]) => !SUBSCRIPTION_FIELDS[field](value))
+  return invalid ? `Invalid ${invalid[0]}` : null
+}
+
+const toPublicSubscription = (doc, { revealSecret = false } = {}) => ({
+  id: doc._id,
+  url: doc.url,
+  events: doc.events,
+  description: doc.description,
+  enabled: doc.enabled,
+  secret: revealSecret ? doc.secret : maskSecret(doc.secret),
+  createdBy: doc.createdBy,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+})
+
+const toPublicDelivery = (doc, { full = false } = {}) => ({
+  id: doc._id,
+  subscriptionId: doc.subscriptionId,
+  eventId: doc.eventId,
+  event: doc.event,
+  status: doc.status,
+  attempts: doc.attempts,
+  nextAttemptAt: doc.status === 'pending' ? doc.nextAttemptAt : null,
+  lastResponseStatus: doc.lastResponseStatus,
+  lastError: doc.lastError,
+  deliveredAt: doc.deliveredAt,
+  replayOf: doc.replayOf,
+  createdAt: doc.createdAt,
+  ...(full ? { payload: doc.payload, attemptLog: doc.attemptLog } : {}),
+})
+
+// GET /api/admin/webhooks
+webhookSubscriptions.get('/', async (c) => {
+  try {
+    const docs = await WebhookSubscription.find().sort({ createdAt: -1 }).lean()
+    return c.json({ subscriptions: docs.map(doc => toPublicSubscription(doc)), events: WEBHOOK_EVENTS })
+  } catch (err) {
+    console.error('📮 [Webhooks] list subscriptions error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// POST /api/admin/webhooks { url, events, description? } (the secret is only returned here)
+webhookSubscriptions.post('/', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => null)
+    if (!body || typeof body !== 'object') return c.json({ error: 'Invalid body' }, 400)
+    if (!body.url || !body.events) return c.json({ error: 'url and events are required' }, 400)
+    const error = validateFields(body)
+    if (error) return c.json({ error }, 400)
+
+    const doc = await WebhookSubscription.create({
+      ...body,
+      secret: generateWebhookSecret(),
+      createdBy: c.get('principal').userId,
+    })
+
+    console.log('📮 [Webhooks] Subscription created:', { id: doc._id, url: doc.url, events: doc.events })
+    return c.json(toPublicSubscription(doc, { revealSecret: true }), 201)
+  } catch (err) {
+    console.error('📮 [Webhooks] create subscription error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// GET /api/admin/webhooks/deliveries (delivery log; query: subscriptionId, status, event, limit, before)
+webhookSubscriptions.get('/deliveries', async (c) => {
+  try {
+    const { subscriptionId, status, event, before } = c.req.query()
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 50, 1), 200)
+
+    const filter = {}
+    if (subscriptionId) {
+      if (!isValidId(subscriptionId)) return c.json({ error: 'Invalid subscriptionId' }, 400)
+      filter.subscriptionId = subscriptionId
+    }
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) return c.json({ error: 'Invalid status' }, 400)
+      filter.status = status
+    }
+    if (event) filter.event = event
+    if (before) {
+      const date = new Date(before)
+      if (isNaN(date)) return c.json({ error: 'Invalid before' }, 400)
+      filter.createdAt = { $lt: date }
+    }
+
+    const docs = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean()
+    return c.json({
+      deliveries: docs.map(doc => toPublicDelivery(doc)),
+      nextBefore: docs.length === limit ? docs[docs.length - 1].createdAt : null,
+    })
+  } catch (err) {
+    console.error('📮 [Webhooks] list deliveries error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// GET /api/admin/webhooks/deliveries/:deliveryId (payload and attempt log)
+webhookSubscriptions.get('/deliveries/:deliveryId', async (c) => {
+  try {
+    const { deliveryId } = c.req.param()
+    if (!isValidId(deliveryId)) return c.text('Not found', 404)
+    const doc = await WebhookDelivery.findById(deliveryId).lean()
+    if (!doc) return c.text('Not found', 404)
+    return c.json(toPublicDelivery(doc, { full: true }))
+  } catch (err) {
+    console.error('📮 [Webhooks] get delivery error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/replay queues the same payload again as a new delivery
+webhookSubscriptions.post('/deliveries/:deliveryId/replay', async (c) => {
+  try {
+    const { deliveryId } = c.req.param()
+    if (!isValidId(deliveryId)) return c.text('Not found', 404)
+    const replay = await replayDelivery(deliveryId)
+    if (!replay) return c.text('Not found', 404)
+    console.log('📮 [Webhooks] Delivery replayed by', c.get('principal').userId, deliveryId)
+    return c.json(toPublicDelivery(replay.toObject()), 202)
+  } catch (err) {
+    console.error('📮 [Webhooks] replay delivery error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// PATCH /api/admin/webhooks/:id { url?, events?, description?, enabled? }
+webhookSubscriptions.patch('/:id', async (c) => {
+  try {
+    const { id } = c.req.param()
+    if (!isValidId(id)) return c.text('Not found', 404)
+    const body = await c.req.json().catch(() => null)
+    if (!body || typeof body !== 'object') return c.json({ error: 'Invalid body' }, 400)
+    const error = validateFields(body)
+    if (error) return c.json({ error }, 400)
+
+    const doc = await WebhookSubscription.findByIdAndUpdate(id, body, { new: true }).lean()
+    if (!doc) return c.text('Not found', 404)
+
+    console.log('📮 [Webhooks] Subscription updated:', { id, fields: Object.keys(body) })
+    return c.json(toPublicSubscription(doc))
+  } catch (err) {
+    console.error('📮 [Webhooks] update subscription error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// POST /api/admin/webhooks/:id/secret/rotate (the new secret is only returned here)
+webhookSubscriptions.post('/:id/secret/rotate', async (c) => {
+  try {
+    const { id } = c.req.param()
+    if (!isValidId(id)) return c.text('Not found', 404)
+    const doc = await WebhookSubscription.findByIdAndUpdate(id, { secret: generateWebhookSecret() }, { new: true }).lean()
+    if (!doc) return c.text('Not found', 404)
+
+    console.log('📮 [Webhooks] Subscription secret rotated:', id)
+    return c.json(toPublicSubscription(doc, { revealSecret: true }))
+  } catch (err) {
+    console.error('📮 [Webhooks] rotate secret error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// POST /api/admin/webhooks/:id/ping sends a signed ping event
+webhookSubscriptions.post('/:id/ping', async (c) => {
+  try {
+    const { id } = c.req.param()
+    if (!isValidId(id)) return c.text('Not found', 404)
+    const doc = await WebhookSubscription.findById(id).lean()
+    if (!doc) return c.text('Not found', 404)
+
+    const delivery = await pingSubscription(doc)
+    return c.json(toPublicDelivery(delivery.toObject()), 202)
+  } catch (err) {
+    console.error('📮 [Webhooks] ping error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// DELETE /api/admin/webhooks/:id (pending deliveries fail on their next attempt)
+webhookSubscriptions.delete('/:id', async (c) => {
+  try {
+    const { id } = c.req.param()
+    if (!isValidId(id)) return c.text('Not found', 404)
+    const doc = await WebhookSubscription.findByIdAndDelete(id).lean()
+    if (!doc) return c.text('Not found', 404)
+
+    console.log('📮 [Webhooks] Subscription deleted:', id)
+    return c.json({ id, deleted: true })
+  } catch (err) {
+    console.error('📮 [Webhooks] delete subscription error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+export default webhookSubscriptions
@@ -1,8 +1,19 @@
 import { Hono } from 'hono'
 import { Stream } from '../models/Stream.js'
+import { openSession, closeSession } from '../services/stream-sessions.js'
+import { startRtmpRelay, stopRtmpRelay } from '../services/rtmp-relay.js'
+import { recordRtmpWebhook } from '../services/metrics.js'
+import { publishStreamEvent } from '../services/stream-events.js'
 
 const webhooks = new Hono()
 
+// Outcome per hook (publish, publish_done, update) for the rtmp_webhooks_total metric
+webhooks.use('*', async (c, next) => {
+  await next()
+  const hook = c.req.routePath.split('/').pop()
+  if (hook !== '*') recordRtmpWebhook(hook, c.res.status)
+})
+
 function isAuthorizedHook(c) {
   const configured = process.env.RTMP_HOOK_SECRET
   if (!configured) return true
@@ -24,13 +35,16 @@ webhooks.post('/publish', async (c) => {
 
     if (!name) return c.text('Missing stream name', 400)
 
-// Only allow if stream exists and is not already live
+// Only allow if stream exists, is enabled and is not already live
+    const startTime = new Date()
     const stream = await Stream.findOneAndUpdate(
-      { streamKey: name, isLive: { $ne: true } },
+      { streamKey: name, isLive: { $ne: true }, disabled: { $ne: true } },
       {
         isLive: true,
-        startTime: new Date(),
+        ingestType: 'rtmp',
+        startTime,
         endTime: null,
+        lastSeenAt: startTime,
         viewerCount: 0,
         app,
         lastClientAddr: addr || null,
@@ -39,6 +53,16 @@ webhooks.post('/publish', async (c) => {
     )
 
     if (!stream) return c.text('Forbidden', 403)
+    publishStreamEvent('live', stream.publicStreamName, { ingestType: 'rtmp', title: stream.title, startTime })
+
+    try {
+      await openSession(stream, 'rtmp', { startTime })
+    } catch (e) {
+      console.error('on_publish session error:', e)
+    }
+
+    // Optionally relay into the SFU so WebRTC viewers can watch too
+    startRtmpRelay(stream.publicStreamName)
 
     return c.redirect(`/live/${encodeURIComponent(stream.publicStreamName)}`, 302)
   } catch (err) {
@@ -47,6 +71,37 @@ webhooks.post('/publish', async (c) => {
   }
 })
 
+// Nginx-RTMP on_update webhook (notify_update_timeout)
+// Non-2xx drops the publisher, so rotated or disabled keys are kicked mid-session
+webhooks.post('/update', async (c) => {
+  try {
+    if (!isAuthorizedHook(c)) {
+      return c.text('Forbidden', 403)
+    }
+
+    const body = await c.req.parseBody()
+    const name = (body.name || body.stream || body.key || '').toString()
+    const call = (body.call || '').toString()
+
+    if (!name) return c.text('Missing stream name', 400)
+
+    // on_update is also sent for players; only gate publishers
+    if (call && call !== 'update_publish') return c.text('OK', 200)
+
+    // Also the RTMP session's heartbeat: the reconciler ends live RTMP streams that stop sending it
+    const stream = await Stream.findOneAndUpdate(
+      { streamKey: name, disabled: { $ne: true } },
+      { lastSeenAt: new Date() }
+    ).lean()
+    if (!stream) return c.text('Forbidden', 403)
+
+    return c.text('OK', 200)
+  } catch (err) {
+    console.error('on_update error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
 // Nginx-RTMP on_publish_done webhook
 webhooks.post('/publish_done', async (c) => {
   try {
@@ -59,14 +114,21 @@ webhooks.post('/publish_done', async (c) => {
 
     if (!name) return c.text('Missing stream name', 400)
 
-    await Stream.findOneAndUpdate(
+    const endTime = new Date()
+    const stream = await Stream.findOneAndUpdate(
       { streamKey: name },
       {
         isLive: false,
-        endTime: new Date(),
+        endTime,
       }
     )
 
+    if (stream) {
+      if (stream.isLive) publishStreamEvent('offline', stream.publicStreamName, { endTime })
+      await stopRtmpRelay(stream.publicStreamName)
+      await closeSession(stream.publicStreamName, endTime)
+    }
+
     return c.text('OK', 200)
   } catch (err) {
     console.error('on_publish_done error:', err)
@@ -0,0 +1,142 @@
+import { Hono } from 'hono'
+import { Stream } from '../models/Stream.js'
+import { requireAuth, optionalAuth, isStreamOwner } from '../middleware/auth.js'
+import { isBanned } from '../services/moderation.js'
+import {
+  startWhipSession,
+  startWhepSession,
+  getSession,
+  endSession,
+  updateSessionIce,
+} from '../services/whip-whep.js'
+
+// WHIP (RFC 9725) publish and WHEP playback: SDP offer/answer over HTTP against the SFU rooms
+const whipWhep = new Hono()
+
+const isContentType = (c, type) => (c.req.header('content-type') || '').split(';')[0].trim().toLowerCase() === type
+
+const sdpCreated = (c, kind, name, { session, answer }) => c.body(answer, 201, {
+  'Content-Type': 'application/sdp',
+  Location: `/api/${kind}/${encodeURIComponent(name)}/${session.id}`,
+  ETag: `"${session.etag}"`,
+})
+
+// Multi-instance deployments: the same request has to be replayed on the node hosting the room
+const redirectToNode = (c, kind, name, node) => c.body(null, 307, {
+  Location: `${node.publicUrl}/api/${kind}/${encodeURIComponent(name)}`,
+})
+
+const loadSession = (c, kind) => {
+  const session = getSession(c.req.param('resourceId'), kind)
+  if (!session || session.room.tokenAddress !== c.req.param('publicStreamName')) return null
+  return session
+}
+
+// Trickle ICE / ICE restart (application/trickle-ice-sdpfrag)
+const patchSession = (kind) => async (c) => {
+  try {
+    const session = loadSession(c, kind)
+    if (!session) return c.json({ error: 'Session not found' }, 404)
+    if (kind === 'whip' && session.userAddress !== c.get('principal').userId) {
+      return c.json({ error: 'Forbidden' }, 403)
+    }
+    if (!isContentType(c, 'application/trickle-ice-sdpfrag')) {
+      return c.json({ error: 'Content-Type must be application/trickle-ice-sdpfrag' }, 415)
+    }
+    const ifMatch = c.req.header('if-match')
+    if (ifMatch && ifMatch !== '*' && ifMatch !== `"${session.etag}"`) {
+      return c.json({ error: 'ETag mismatch' }, 412)
+    }
+
+    const result = await updateSessionIce(session, await c.req.text())
+    if (result.error) return c.json({ error: result.error }, result.status)
+    if (!result.fragment) return c.body(null, 204)
+
+    return c.body(result.fragment, 200, {
+      'Content-Type': 'application/trickle-ice-sdpfrag',
+      ETag: `"${result.etag}"`,
+    })
+  } catch (err) {
+    console.error(`🌐 [${kind.toUpperCase()}] PATCH error:`, err)
+    return c.text('Server error', 500)
+  }
+}
+
+const deleteSession = (kind) => async (c) => {
+  try {
+    const session = loadSession(c, kind)
+    if (!session) return c.json({ error: 'Session not found' }, 404)
+    if (kind === 'whip' && session.userAddress !== c.get('principal').userId) {
+      return c.json({ error: 'Forbidden' }, 403)
+    }
+    await endSession(session)
+    return c.body(null, 200)
+  } catch (err) {
+    console.error(`🌐 [${kind.toUpperCase()}] DELETE error:`, err)
+    return c.text('Server error', 500)
+  }
+}
+
+// Publish (e.g. OBS 30+ "WHIP" output with the API token as Bearer token); owner only
+whipWhep.post('/whip/:publicStreamName', requireAuth, async (c) => {
+  try {
+    const name = c.req.param('publicStreamName')
+    if (!isContentType(c, 'application/sdp')) {
+      return c.json({ error: 'Content-Type must be application/sdp' }, 415)
+    }
+
+    const stream = await Stream.findOne({ publicStreamName: name }).lean()
+    if (!stream) return c.json({ error: 'Stream not found' }, 404)
+    if (!isStreamOwner(stream, c.get('principal'))) return c.json({ error: 'Forbidden' }, 403)
+    if (stream.disabled) return c.json({ error: 'Stream is disabled' }, 403)
+
+    const result = await startWhipSession(name, await c.req.text(), { userAddress: c.get('principal').userId })
+    if (result.node) return redirectToNode(c, 'whip', name, result.node)
+    if (result.error) return c.json({ error: result.error }, result.status)
+
+    console.log('🌐 [WHIP] Publishing:', name)
+    return sdpCreated(c, 'whip', name, result)
+  } catch (err) {
+    console.error('🌐 [WHIP] POST error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+whipWhep.patch('/whip/:publicStreamName/:resourceId', requireAuth, patchSession('whip'))
+whipWhep.delete('/whip/:publicStreamName/:resourceId', requireAuth, deleteSession('whip'))
+
+// Playback for any WHEP player; credentials are optional and only used for ban checks
+whipWhep.post('/whep/:publicStreamName', optionalAuth, async (c) => {
+  try {
+    const name = c.req.param('publicStreamName')
+    if (!isContentType(c, 'application/sdp')) {
+      return c.json({ error: 'Content-Type must be application/sdp' }, 415)
+    }
+
+    const stream = await Stream.findOne({ publicStreamName: name }).lean()
+    if (!stream) return c.json({ error: 'Stream not found' }, 404)
+    if (stream.disabled) return c.json({ error: 'Stream is disabled' }, 403)
+
+    const userAddress = c.get('principal')?.userId || null
+    if (await isBanned(name, userAddress)) {
+      return c.json({ error: 'You are banned from this stream' }, 403)
+    }
+
+    const result = await startWhepSession(name, await c.req.text(), { userAddress })
+    if (result.node) return redirectToNode(c, 'whep', name, result.node)
+    if (result.error) {
+      return c.json({ error: result.error, ...(result.hlsUrl ? { hlsUrl: result.hlsUrl } : {}) }, result.status)
+    }
+
+    return sdpCreated(c, 'whep', name, result)
+  } catch (err) {
+    console.error('🌐 [WHEP] POST error:', err)
+    return c.text('Server error', 500)
+  }
+})
+
+// The resource URL is the capability for WHEP sessions (players may be anonymous)
+whipWhep.patch('/whep/:publicStreamName/:resourceId', patchSession('whep'))
+whipWhep.delete('/whep/:publicStreamName/:resourceId', deleteSession('whep'))
+
+export default whipWhep
@@ -0,0 +1,263 @@
+/**
+ * Admin introspection and actions for live SFU state
+ * Read-only views of rooms, transports and workers, plus force-closing a room or disconnecting a peer.
+ */
+
+import { workers, getWorkerLoad } from '../sfu/mediasoup-config.js';
+import { getRoom, getAllRooms, getRoomsOnWorker } from '../sfu/room-manager.js';
+import { endSfuBroadcast, viewerLeft, closeRoom } from './broadcasts.js';
+import { isRelayActive, stopRtmpRelay } from './rtmp-relay.js';
+import { revokeResumeToken } from './reconnect-grace.js';
+
+// Close code for sockets an admin disconnected
+const ADMIN_CLOSE_CODE = 4403;
+
+// WHIP/WHEP/RTMP peers are named by their entry point; everything else is a WebSocket peer
+function peerSource(peerId) {
+  const [prefix] = peerId.split('-');
+  return ['whip', 'whep', 'rtmp'].includes(prefix) ? prefix : 'websocket';
+}
+
+function describePublisher(room) {
+  const { publisher } = room;
+  if (!publisher) return null;
+  const source = peerSource(publisher.peerId);
+  return {
+    peerId: publisher.peerId,
+    source,
+    userAddress: publisher.ws?.meta?.userAddress || null,
+    // WebSocket publisher held for a reconnect (see reconnect-grace.js)
+    suspended: source === 'websocket' && !publisher.ws,
+    producers: Array.from(publisher.producers.values()).map(producer => ({ id: producer.id, kind: producer.kind })),
+  };
+}
+
+function describeViewers(room) {
+  return Array.from(room.viewers.entries()).map(([peerId, viewer]) => {
+    const source = peerSource(peerId);
+    return {
+      peerId,
+      source,
+      userAddress: viewer.ws?.meta?.userAddress || null,
+      suspended: source === 'websocket' && !viewer.ws,
+      joinedAt: new Date(viewer.joinedAt).toISOString(),
+      routerId: viewer.router.id,
+      consumerCount: viewer.consumers.size,
+    };
+  });
+}
+
+/**
+ * Every room with its publisher and viewers
+ */
+function listRooms() {
+  return getAllRooms().map((summary) => {
+    const room = getRoom(summary.tokenAddress);
+    return {
+      ...summary,
+      createdAt: new Date(summary.createdAt).toISOString(),
+      peerCount: room.getPeerCount(),
+      publisher: describePublisher(room),
+      viewers: describeViewers(room),
+    };
+  });
+}
+
+// The RTP numbers worth looking at from producer/consumer getStats() entries
+function summarizeRtpStats(stats) {
+  return stats.map(stat => ({
+    type: stat.type,
+    kind: stat.kind,
+    ssrc: stat.ssrc,
+    rid: stat.rid,
+    bitrate: stat.bitrate,
+    packetCount: stat.packetCount,
+    packetsLost: stat.packetsLost,
+    fractionLost: stat.fractionLost,
+    roundTripTime: stat.roundTripTime,
+    jitter: stat.jitter,
+    nackCount: stat.nackCount,
+    pliCount: stat.pliCount,
+    score: stat.score,
+  }));
+}
+
+async function describeTransport(transport) {
+  if (!transport) return null;
+  const base = {
+    id: transport.id,
+    closed: transport.closed,
+    iceState: transport.iceState,
+    dtlsState: transport.dtlsState,
+    iceSelectedTuple: transport.iceSelectedTuple || null,
+  };
+  if (transport.closed) return base;
+
+  const [stat] = await transport.getStats();
+  return {
+    ...base,
+    recvBitrate: stat?.recvBitrate ?? null,
+    sendBitrate: stat?.sendBitrate ?? null,
+    availableOutgoingBitrate: stat?.availableOutgoingBitrate ?? null,
+    availableIncomingBitrate: stat?.availableIncomingBitrate ?? null,
+    rtpPacketLossReceived: stat?.rtpPacketLossReceived ?? null,
+    rtpPacketLossSent: stat?.rtpPacketLossSent ?? null,
+  };
+}
+
+// getStats() can reject if the object closes mid-request; report that instead of failing the whole view
+async function safely(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * One room in depth: routers, transport ICE/DTLS state and stats, producer/consumer RTP stats.
+ * Null if the room doesn't exist.
+ */
+async function inspectRoom(tokenAddress) {
+  const room = getRoom(tokenAddress);
+  if (!room) return null;
+
+  const routers = [
+    { id: room.router.id, role: 'room', workerPid: room.router.appData.worker?.pid ?? null },
+    ...Array.from(room.fanoutRouters.keys()).map(router => ({ id: router.id, role: 'fanout', workerPid: router.appData.worker?.pid ?? null })),
+    ...Array.from(room.renditionRouters.values()).map(({ router }) => ({ id: router.id, role: 'rendition', workerPid: router.appData.worker?.pid ?? null })),
+  ];
+
+  let publisher = describePublisher(room);
+  if (publisher) {
+    const producers = Array.from(room.publisher.producers.values());
+    publisher = {
+      ...publisher,
+      transport: await safely(describeTransport(room.publisher.producerTransport)),
+      plainTransports: room.publisher.plainTransports.map(transport => ({ id: transport.id, tuple: transport.tuple })),
+      producers: await Promise.all(producers.map(async producer => ({
+        id: producer.id,
+        kind: producer.kind,
+        type: producer.type,
+        paused: producer.paused,
+        score: producer.score,
+        stats: await safely(producer.getStats().then(summarizeRtpStats)),
+      }))),
+    };
+  }
+
+  const viewers = await Promise.all(describeViewers(room).map(async (summary) => {
+    const viewer = room.viewers.get(summary.peerId);
+    if (!viewer) return summary;
+    return {
+      ...summary,
+      transport: await safely(describeTransport(viewer.consumerTransport)),
+      consumers: await Promise.all(Array.from(viewer.consumers.values()).map(async consumer => ({
+        id: consumer.id,
+        producerId: consumer.producerId,
+        kind: consumer.kind,
+        type: consumer.type,
+        paused: consumer.paused,
+        producerPaused: consumer.producerPaused,
+        score: consumer.score,
+        currentLayers: consumer.currentLayers ?? null,
+        preferredLayers: consumer.preferredLayers ?? null,
+        stats: await safely(consumer.getStats().then(summarizeRtpStats)),
+      }))),
+    };
+  }));
+
+  const peers = Array.from(room.peers.entries()).map(([peerId, ws]) => ({
+    peerId,
+    role: ws.meta?.role || null,
+    userAddress: ws.meta?.userAddress || null,
+  }));
+
+  return {
+    tokenAddress,
+    createdAt: new Date(room.createdAt).toISOString(),
+    closed: room.closed,
+    routers,
+    publisher,
+    viewers,
+    peers,
+  };
+}
+
+/**
+ * Per-worker load (routers/transports/rooms) and process resource usage
+ */
+async function listWorkers() {
+  return Promise.all(workers.map(async worker => ({
+    pid: worker.pid,
+    closed: worker.closed,
+    ...getWorkerLoad(worker),
+    rooms: getRoomsOnWorker(worker).length,
+    resourceUsage: worker.closed ? null : await safely(worker.getResourceUsage()),
+  })));
+}
+
+function closeSocket(ws, reason) {
+  revokeResumeToken(ws);
+  try { ws.send(JSON.stringify({ type: 'disconnected', reason })); } catch {}
+  try { ws.close(ADMIN_CLOSE_CODE, 'Disconnected by admin'); } catch {}
+}
+
+/**
+ * End the broadcast, drop every peer and delete the room; false if it doesn't exist
+ */
+async function forceCloseRoom(tokenAddress) {
+  const room = getRoom(tokenAddress);
+  if (!room) return false;
+  console.warn(`🛠️ [Admin] Force-closing room ${tokenAddress}`);
+
+  if (isRelayActive(tokenAddress)) await stopRtmpRelay(tokenAddress);
+  if (room.publisher) await endSfuBroadcast(room);
+  for (const peerId of Array.from(room.viewers.keys())) {
+    await viewerLeft(room, peerId);
+  }
+
+  room.broadcast({ type: 'room-closed', reason: 'admin' });
+  for (const ws of room.peers.values()) {
+    closeSocket(ws, 'room-closed');
+  }
+  closeRoom(room);
+  return true;
+}
+
+/**
+ * Disconnect one peer (WebSocket, WHIP/WHEP session, RTMP relay or a peer held for reconnect).
+ * Returns false if the room or peer doesn't exist.
+ */
+async function disconnectPeer(tokenAddress, peerId) {
+  const room = getRoom(tokenAddress);
+  if (!room) return false;
+
+  const ws = room.peers.get(peerId);
+  const isPublisher = room.publisher?.peerId === peerId;
+  const viewer = room.viewers.get(peerId);
+  if (!ws && !isPublisher && !viewer) return false;
+  console.warn(`🛠️ [Admin] Disconnecting ${peerId} from ${tokenAddress}`);
+
+  if (ws) {
+    // The socket close handler ends the broadcast / removes the viewer
+    closeSocket(ws, 'admin');
+  } else if (isPublisher) {
+    if (peerSource(peerId) === 'rtmp') await stopRtmpRelay(tokenAddress);
+    else await endSfuBroadcast(room);
+  } else if (viewer.consumerTransport) {
+    // WHEP sessions end with their transport
+    viewer.consumerTransport.close();
+  } else {
+    await viewerLeft(room, peerId);
+  }
+  return true;
+}
+
+export {
+  listRooms,
+  inspectRoom,
+  listWorkers,
+  forceCloseRoom,
+  disconnectPeer,
+};
@@ -0,0 +1,142 @@
+/**
+ * SFU broadcast lifecycle shared by the WebSocket signaling and WHIP/WHEP endpoints
+ * Keeps Stream status, sessions, analytics and room cleanup in one place
+ */
+
+import { Stream } from '../models/Stream.js';
+import { getRoom, deleteRoom } from '../sfu/room-manager.js';
+import { openSession, closeSession, recordViewerCount } from './stream-sessions.js';
+import { recordViewerJoin, recordViewerLeave } from './viewer-analytics.js';
+import { clearChatState } from './chat.js';
+import { stopRecording } from './recordings.js';
+import { stopHlsBridge } from './hls-bridge.js';
+import { releaseRoomClaim } from './room-registry.js';
+import { publishStreamEvent, publishViewerCount } from './stream-events.js';
+
+/**
+ * Mark the stream live for a new SFU publisher and open a session record
+ */
+async function startSfuBroadcast(room) {
+  try {
+    const startTime = new Date();
+    const stream = await Stream.findOneAndUpdate(
+      { publicStreamName: room.tokenAddress },
+      { isLive: true, ingestType: 'sfu', startTime, endTime: null, lastSeenAt: startTime, viewerCount: room.getViewerCount() },
+      { new: true }
+    );
+    console.log('📣 [Broadcast] Stream set to LIVE:', room.tokenAddress);
+    if (stream) {
+      publishStreamEvent('live', room.tokenAddress, { ingestType: 'sfu', title: stream.title, startTime });
+      room.autoRecord = !!stream.autoRecord;
+      await openSession(stream, 'sfu', { startTime, viewerCount: room.getViewerCount() });
+    }
+  } catch (e) {
+    console.error('📣 [Broadcast] Failed to update stream status:', e);
+  }
+}
+
+/**
+ * Tear down the room's SFU publisher: finish recording/HLS, mark offline, tell everyone
+ */
+async function endSfuBroadcast(room) {
+  const { tokenAddress } = room;
+
+  stopRecording(tokenAddress).catch(e => console.error('📣 [Broadcast] Failed to stop recording:', e));
+  stopHlsBridge(tokenAddress).catch(e => console.error('📣 [Broadcast] Failed to stop HLS bridge:', e));
+  room.removePublisher();
+
+  try {
+    const endTime = new Date();
+    await Stream.findOneAndUpdate(
+      { publicStreamName: tokenAddress },
+      { isLive: false, endTime, viewerCount: 0 }
+    );
+    console.log('📣 [Broadcast] Stream set to OFFLINE:', tokenAddress);
+    publishStreamEvent('offline', tokenAddress, { endTime });
+    await closeSession(tokenAddress, endTime);
+  } catch (e) {
+    console.error('📣 [Broadcast] Failed to update stream status:', e);
+  }
+
+  room.broadcast({ type: 'publisher-ended' });
+  releaseRoomIfIdle(room);
+}
+
+/**
+ * Record a viewer that just got a consumer transport
+ */
+async function viewerJoined(room, peerId, userAddress) {
+  const viewerCount = room.getViewerCount();
+  try {
+    await Stream.findOneAndUpdate(
+      { publicStreamName: room.tokenAddress },
+      { viewerCount }
+    );
+    await recordViewerCount(room.tokenAddress, viewerCount);
+    await recordViewerJoin(room.tokenAddress, peerId, userAddress);
+  } catch (e) {
+    console.error('📣 [Broadcast] Failed to update viewer count:', e);
+  }
+  broadcastViewerCount(room, viewerCount);
+}
+
+/**
+ * Remove a viewer's transports and record the leave
+ */
+async function viewerLeft(room, peerId) {
+  const remainingViewers = room.removeViewer(peerId);
+  // The leave is recorded on its own so a failed count update can't leave the visit open
+  try {
+    await recordViewerLeave(room.tokenAddress, peerId);
+  } catch (e) {
+    console.error('📣 [Broadcast] Failed to record viewer leave:', e);
+  }
+  try {
+    await Stream.findOneAndUpdate(
+      { publicStreamName: room.tokenAddress },
+      { viewerCount: remainingViewers }
+    );
+    await recordViewerCount(room.tokenAddress, remainingViewers);
+  } catch (e) {
+    console.error('📣 [Broadcast] Failed to update viewer count:', e);
+  }
+  broadcastViewerCount(room, remainingViewers);
+  releaseRoomIfIdle(room);
+}
+
+/**
+ * Broadcast viewer count to all connected clients in a room
+ */
+function broadcastViewerCount(room, count) {
+  room.broadcast({ type: 'viewer-count', count });
+  publishViewerCount(room.tokenAddress, count);
+}
+
+/**
+ * Delete the room (and its chat state) once nobody publishes, watches or is connected
+ * (a publisher slot counts even without producers: mid-setup or held for a reconnect)
+ */
+function releaseRoomIfIdle(room) {
+  if (room.publisher || room.getPeerCount() > 0 || room.getViewerCount() > 0) return;
+  closeRoom(room);
+}
+
+/**
+ * Delete the room with its chat state and registry claim (no-op if a newer room replaced it)
+ */
+function closeRoom(room) {
+  if (getRoom(room.tokenAddress) !== room) return;
+  deleteRoom(room.tokenAddress);
+  clearChatState(room.tokenAddress);
+  releaseRoomClaim(room.tokenAddress);
+}
+
+export {
+  startSfuBroadcast,
+  endSfuBroadcast,
+  viewerJoined,
+  viewerLeft,
+  broadcastViewerCount,
+  releaseRoomIfIdle,
+  closeRoom,
+};
@@ -0,0 +1,187 @@
+/**
+ * Live chat for streaming rooms
+ * Keeps a bounded in-memory history per stream, persists messages and rate limits senders
+ */
+
+import mongoose from 'mongoose';
+import { ChatMessage } from '../models/ChatMessage.js';
+import { getOpenSession } from './stream-sessions.js';
+
+function getChatSettings() {
+  return {
+    historySize: parseInt(process.env.CHAT_HISTORY_SIZE) || 50,
+    maxLength: parseInt(process.env.CHAT_MAX_LENGTH) || 500,
+    rateLimitCount: parseInt(process.env.CHAT_RATE_LIMIT_COUNT) || 5,
+    rateLimitWindowMs: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS) || 10000,
+  };
+}
+
+// publicStreamName => { messages: [], loaded: boolean }
+const histories = new Map();
+
+// sender key => timestamps of recent messages
+const sendLog = new Map();
+
+// `${publicStreamName}:${sender key}` => timestamp until which the sender is muted
+const timeouts = new Map();
+
+// publicStreamName => { sessionId, checkedAt }
+const sessionCache = new Map();
+const SESSION_CACHE_MS = 15000;
+
+function toWire(doc) {
+  return {
+    id: String(doc._id),
+    peerId: doc.peerId,
+    userAddress: doc.userAddress,
+    // No proven address: clients show the sender as anonymous
+    anonymous: !doc.userAddress,
+    isCreator: doc.isCreator,
+    text: doc.text,
+    ts: doc.sentAt.getTime(),
+  };
+}
+
+/**
+ * Get recent chat history for a stream, loading from Mongo on first access
+ */
+async function getChatHistory(publicStreamName) {
+  let history = histories.get(publicStreamName);
+  if (history?.loaded) return history.messages;
+
+  const { historySize } = getChatSettings();
+  const docs = await ChatMessage.find({ publicStreamName })
+    .sort({ sentAt: -1 })
+    .limit(historySize)
+    .lean();
+
+  history = histories.get(publicStreamName) || { messages: [], loaded: false };
+  // Keep anything sent while we were loading
+  history.messages = [...docs.reverse().map(toWire), ...history.messages].slice(-historySize);
+  history.loaded = true;
+  histories.set(publicStreamName, history);
+  return history.messages;
+}
+
+/**
+ * Returns true if the sender is within the rate limit (and records the attempt)
+ */
+function takeRateLimit(senderKey) {
+  const { rateLimitCount, rateLimitWindowMs } = getChatSettings();
+  const now = Date.now();
+
+  // Occasionally drop senders with no recent messages
+  if (sendLog.size > 1000) {
+    for (const [key, times] of sendLog) {
+      if (times.every(t => now - t >= rateLimitWindowMs)) sendLog.delete(key);
+    }
+  }
+
+  const recent = (sendLog.get(senderKey) || []).filter(t => now - t < rateLimitWindowMs);
+  if (recent.length >= rateLimitCount) {
+    sendLog.set(senderKey, recent);
+    return false;
+  }
+  recent.push(now);
+  sendLog.set(senderKey, recent);
+  return true;
+}
+
+/**
+ * Mute a sender (userAddress or peerId) in a stream's chat for durationMs
+ */
+function timeoutChatUser(publicStreamName, senderKey, durationMs) {
+  const until = Date.now() + durationMs;
+  timeouts.set(`${publicStreamName}:${senderKey}`, until);
+  return until;
+}
+
+/**
+ * Returns the mute expiry if any of the sender keys is timed out, else null
+ */
+function getChatTimeout(publicStreamName, senderKeys) {
+  const now = Date.now();
+  for (const key of senderKeys) {
+    if (!key) continue;
+    const until = timeouts.get(`${publicStreamName}:${key}`);
+    if (!until) continue;
+    if (until > now) return until;
+    timeouts.delete(`${publicStreamName}:${key}`);
+  }
+  return null;
+}
+
+async function resolveSessionId(publicStreamName) {
+  const cached = sessionCache.get(publicStreamName);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_MS) return cached.sessionId;
+
+  const session = await getOpenSession(publicStreamName).lean();
+  const sessionId = session?._id || null;
+  // Only cache hits so messages right after going live attach to the new session
+  if (sessionId) sessionCache.set(publicStreamName, { sessionId, checkedAt: Date.now() });
+  return sessionId;
+}
+
+/**
+ * Validate, rate limit and record a chat message.
+ * Throws on invalid input; returns the wire message to broadcast.
+ */
+async function createChatMessage({ publicStreamName, peerId, userAddress, isCreator, text }) {
+  const { maxLength, historySize } = getChatSettings();
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Message is empty');
+  }
+  const trimmed = text.trim();
+  if (trimmed.length > maxLength) {
+    throw new Error(`Message exceeds ${maxLength} characters`);
+  }
+  const mutedUntil = getChatTimeout(publicStreamName, [userAddress, peerId]);
+  if (mutedUntil) {
+    throw new Error(`You are timed out from chat for ${Math.ceil((mutedUntil - Date.now()) / 1000)}s`);
+  }
+  if (!takeRateLimit(userAddress || peerId)) {
+    throw new Error('Sending too fast, slow down');
+  }
+
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    publicStreamName,
+    peerId,
+    userAddress: userAddress || null,
+    isCreator: !!isCreator,
+    text: trimmed,
+    sentAt: new Date(),
+  };
+  const message = toWire(doc);
+
+  const history = histories.get(publicStreamName) || { messages: [], loaded: false };
+  history.messages.push(message);
+  if (history.messages.length > historySize) history.messages.shift();
+  histories.set(publicStreamName, history);
+
+  // Persist in the background; chat delivery doesn't wait on Mongo
+  resolveSessionId(publicStreamName)
+    .then(sessionId => ChatMessage.create({ ...doc, sessionId }))
+    .catch(e => console.error('💬 [Chat] Failed to persist message:', e));
+
+  return message;
+}
+
+/**
+ * Drop in-memory state for a stream (room torn down)
+ */
+function clearChatState(publicStreamName) {
+  histories.delete(publicStreamName);
+  sessionCache.delete(publicStreamName);
+  for (const [key, until] of timeouts) {
+    if (key.startsWith(`${publicStreamName}:`) && until <= Date.now()) timeouts.delete(key);
+  }
+}
+
+export {
+  getChatHistory,
+  createChatMessage,
+  clearChatState,
+  timeoutChatUser,
+};
@@ -0,0 +1,202 @@
+/**
+ * WebRTC-to-HLS bridge for SFU rooms
+ * Pipes a room's producers into ffmpeg and writes an ABR HLS ladder using the nginx-rtmp layout:
+ *   <HLS_DIR>/<name>/index.m3u8 (master) and <HLS_DIR>/<name>/<variant>/index.m3u8
+ */
+
+import { mkdir, rm } from 'fs/promises';
+import { join, resolve } from 'path';
+import { createRtpOutput } from '../sfu/rtp-output.js';
+import { spawnFfmpeg } from '../sfu/ffmpeg.js';
+import { isRelayActive } from './rtmp-relay.js';
+
+// Variants, highest first (mirrors infra/nginx-rtmp plus a mobile rung)
+const HLS_LADDER = [
+  { height: 1080, videoBitrate: 4500, maxrate: 5350, bufsize: 9000 },
+  { height: 720, videoBitrate: 2500, maxrate: 3210, bufsize: 5000 },
+  { height: 480, videoBitrate: 1000, maxrate: 1200, bufsize: 2000 },
+];
+
+// ffmpeg needs a moment to bind its UDP ports before media flows
+const FFMPEG_WARMUP_MS = 1000;
+// Transcoder restarts GOPs cleanly, but ask for fresh keyframes in case the first was lost
+const KEYFRAME_INTERVAL_MS = 2000;
+
+// Wait for the publisher's remaining producers before starting in 'always' mode
+const START_DELAY_MS = 2000;
+
+// tokenAddress => { output, ffmpeg, keyFrameTimer, dir }
+const bridges = new Map();
+// tokenAddress => pending start timer
+const startTimers = new Map();
+
+function getHlsSettings() {
+  return {
+    // off: never; overflow: only once WebRTC viewers approach the cap; always: whenever the room is live
+    mode: process.env.SFU_HLS_MODE || 'overflow',
+    maxWebRtcViewers: parseInt(process.env.SFU_MAX_WEBRTC_VIEWERS) || 200,
+    hlsDir: resolve(process.env.HLS_DIR || '/var/www/hls'),
+    publicUrl: (process.env.HLS_PUBLIC_URL || 'http://localhost:8080/hls').replace(/\/$/, ''),
+  };
+}
+
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Public master playlist URL for a room
+ */
+function getHlsUrl(tokenAddress) {
+  const { publicUrl } = getHlsSettings();
+  return `${publicUrl}/${encodeURIComponent(safeName(tokenAddress))}/index.m3u8`;
+}
+
+function hlsArgs(dir, hasAudio) {
+  const splits = HLS_LADDER.map((_, i) => `[v${i}]`).join('');
+  const scales = HLS_LADDER.map((rung, i) => `[v${i}]scale=w=-2:h=${rung.height}:flags=bicubic[v${i}out]`);
+  const filter = [`[0:v]split=${HLS_LADDER.length}${splits}`, ...scales].join(';');
+
+  const outputs = HLS_LADDER.flatMap((rung, i) => [
+    '-map', `[v${i}out]`,
+    `-c:v:${i}`, 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency',
+    `-b:v:${i}`, `${rung.videoBitrate}k`, `-maxrate:v:${i}`, `${rung.maxrate}k`, `-bufsize:v:${i}`, `${rung.bufsize}k`,
+    ...(hasAudio ? ['-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, '128k', '-ar', '48000'] : []),
+  ]);
+
+  const streamMap = HLS_LADDER.map((_, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' ');
+
+  return [
+    '-protocol_whitelist', 'pipe,udp,rtp',
+    '-fflags', '+genpts',
+    '-f', 'sdp',
+    '-i', 'pipe:0',
+    '-filter_complex', filter,
+    ...outputs,
+    '-g', '60', '-keyint_min', '60', '-sc_threshold', '0',
+    '-f', 'hls',
+    '-hls_time', '4',
+    '-hls_list_size', '6',
+    '-hls_flags', 'delete_segments+independent_segments',
+    '-master_pl_name', 'index.m3u8',
+    '-var_stream_map', streamMap,
+    '-hls_segment_filename', join(dir, '%v', 'seg_%06d.ts'),
+    join(dir, '%v', 'index.m3u8'),
+  ];
+}
+
+/**
+ * Check if a room currently has an HLS bridge
+ */
+function isHlsBridgeActive(tokenAddress) {
+  return bridges.has(tokenAddress);
+}
+
+/**
+ * Start the HLS bridge for a room (no-op if already running).
+ * RTMP-relayed rooms never get one: nginx-rtmp already writes HLS for the ingest at the same URL,
+ * and its directory must not be shared with (or removed by) the bridge.
+ */
+async function startHlsBridge(room) {
+  const { tokenAddress } = room;
+  if (bridges.has(tokenAddress) || isRelayActive(tokenAddress)) return getHlsUrl(tokenAddress);
+
+  const producers = room.getProducers();
+  if (!producers.some(p => p.kind === 'video')) throw new Error('No video to bridge');
+
+  // Reserve the slot before awaiting so concurrent callers don't double-start
+  const bridge = { output: null, ffmpeg: null, keyFrameTimer: null, dir: null };
+  bridges.set(tokenAddress, bridge);
+
+  try {
+    const label = `hls-${tokenAddress}`;
+    bridge.dir = join(getHlsSettings().hlsDir, safeName(tokenAddress));
+    await mkdir(bridge.dir, { recursive: true });
+
+    bridge.output = await createRtpOutput(room.router, producers, { label });
+    const hasAudio = producers.some(p => p.kind === 'audio');
+    bridge.ffmpeg = spawnFfmpeg(hlsArgs(bridge.dir, hasAudio), { label, input: bridge.output.sdp });
+
+    setTimeout(() => {
+      bridge.output?.resume().catch(e => console.error(`📡 [HLS] Failed to resume consumers for ${tokenAddress}:`, e));
+    }, FFMPEG_WARMUP_MS);
+    bridge.keyFrameTimer = setInterval(() => {
+      bridge.output?.requestKeyFrame().catch(() => {});
+    }, KEYFRAME_INTERVAL_MS);
+
+    bridge.ffmpeg.exited.then(() => {
+      if (bridges.get(tokenAddress) === bridge) {
+        console.warn(`📡 [HLS] ffmpeg exited for ${tokenAddress}, bridge stopped`);
+        releaseBridge(tokenAddress, bridge);
+      }
+    });
+
+    console.log(`📡 [HLS] Bridge started: ${tokenAddress} -> ${bridge.dir}`);
+    return getHlsUrl(tokenAddress);
+  } catch (e) {
+    releaseBridge(tokenAddress, bridge);
+    throw e;
+  }
+}
+
+function releaseBridge(tokenAddress, bridge) {
+  if (bridges.get(tokenAddress) === bridge) bridges.delete(tokenAddress);
+  clearInterval(bridge.keyFrameTimer);
+  bridge.output?.close();
+}
+
+/**
+ * Stop a room's HLS bridge and remove its segments
+ */
+async function stopHlsBridge(tokenAddress) {
+  clearTimeout(startTimers.get(tokenAddress));
+  startTimers.delete(tokenAddress);
+
+  const bridge = bridges.get(tokenAddress);
+  if (!bridge) return;
+  releaseBridge(tokenAddress, bridge);
+  await bridge.ffmpeg?.stop();
+  if (bridge.dir) await rm(bridge.dir, { recursive: true, force: true });
+  console.log(`📡 [HLS] Bridge stopped: ${tokenAddress}`);
+}
+
+/**
+ * Whether a new WebRTC viewer must be sent to HLS instead
+ */
+function shouldFallbackToHls(room) {
+  const { mode, maxWebRtcViewers } = getHlsSettings();
+  return mode !== 'off' && room.getViewerCount() >= maxWebRtcViewers;
+}
+
+/**
+ * Start the bridge ahead of need: always once live, or at 80% of the WebRTC viewer cap in overflow mode
+ */
+function ensureHlsBridge(room) {
+  const { mode, maxWebRtcViewers } = getHlsSettings();
+  if (mode === 'off' || bridges.has(room.tokenAddress) || !room.hasPublisher() || isRelayActive(room.tokenAddress)) return;
+  if (mode === 'overflow' && room.getViewerCount() < Math.floor(maxWebRtcViewers * 0.8)) return;
+
+  startHlsBridge(room).catch(e => console.error(`📡 [HLS] Failed to start bridge for ${room.tokenAddress}:`, e));
+}
+
+/**
+ * Debounced ensureHlsBridge for when producers are still being added
+ */
+function scheduleHlsBridge(room) {
+  if (getHlsSettings().mode === 'off') return;
+  clearTimeout(startTimers.get(room.tokenAddress));
+  startTimers.set(room.tokenAddress, setTimeout(() => {
+    startTimers.delete(room.tokenAddress);
+    ensureHlsBridge(room);
+  }, START_DELAY_MS));
+}
+
+export {
+  getHlsUrl,
+  isHlsBridgeActive,
+  startHlsBridge,
+  stopHlsBridge,
+  shouldFallbackToHls,
+  ensureHlsBridge,
+  scheduleHlsBridge,
+};
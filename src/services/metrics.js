@@ -0,0 +1,245 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms are updated where things happen (WebSocket, REST, Mongo, RTMP webhooks);
+ * SFU gauges (rooms, peers, transports, workers) are read from live state at scrape time.
+ */
+
+import { workers, getWorkerLoad } from '../sfu/mediasoup-config.js';
+import { getRoom, getAllRooms } from '../sfu/room-manager.js';
+
+const PREFIX = 'dew_';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Metrics updated as events happen (snapshot gauges are built per scrape instead)
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One metric family with a value per label combination
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values joined => { values, value }
+    // Unlabeled metrics are exported (as zero) from the start
+    if (labelNames.length === 0) this._series({});
+  }
+
+  _series(labels) {
+    const values = this.labelNames.map(name => labels[name] ?? '');
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) this.series.set(key, { values, value: this._initialValue() });
+    return this.series.get(key);
+  }
+
+  _initialValue() {
+    return 0;
+  }
+
+  _sampleLines({ values, value }) {
+    return [`${this.name}${formatLabels(this.labelNames, values)} ${value}`];
+  }
+
+  collect() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) lines.push(...this._sampleLines(series));
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._series(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this._series(labels).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  _initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const state = this._series(labels).value;
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) state.counts[i]++;
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  _sampleLines({ values, value }) {
+    const lines = this.buckets.map((bucket, i) =>
+      `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bucket}"`)} ${value.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${value.sum}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${value.count}`);
+    return lines;
+  }
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+// ===== Event metrics =====
+
+const wsConnections = register(new Gauge('ws_connections', 'Open WebSocket signaling connections'));
+const wsConnectionsTotal = register(new Counter('ws_connections_total', 'WebSocket signaling connections accepted'));
+const wsMessagesTotal = register(new Counter('ws_messages_total', 'WebSocket signaling messages received by type', ['type']));
+const sseConnections = register(new Gauge('sse_connections', 'Open Server-Sent Events status feeds', ['feed']));
+const httpRequestDuration = register(new Histogram('http_request_duration_seconds', 'REST request latency by route', ['method', 'route', 'status']));
+const mongoErrorsTotal = register(new Counter('mongo_errors_total', 'Failed MongoDB commands and connection errors', ['operation']));
+const rtmpWebhooksTotal = register(new Counter('rtmp_webhooks_total', 'nginx-rtmp webhook calls by outcome', ['hook', 'outcome']));
+const reconcilerFixesTotal = register(new Counter('reconciler_fixes_total', 'Stream documents corrected by the reconciler', ['kind']));
+
+/**
+ * Hono middleware recording request latency under the matched route pattern
+ */
+async function httpMetricsMiddleware(c, next) {
+  const start = process.hrtime.bigint();
+  try {
+    await next();
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = c.req.routePath === '/*' ? 'unmatched' : c.req.routePath;
+    httpRequestDuration.observe({ method: c.req.method, route, status: c.res.status }, seconds);
+  }
+}
+
+function rtmpWebhookOutcome(status) {
+  if (status < 400) return 'allowed';
+  if (status === 403) return 'denied';
+  if (status < 500) return 'rejected';
+  return 'error';
+}
+
+/**
+ * Count one nginx-rtmp webhook call by its response status
+ */
+function recordRtmpWebhook(hook, status) {
+  rtmpWebhooksTotal.inc({ hook, outcome: rtmpWebhookOutcome(status) });
+}
+
+/**
+ * Count failed commands on a MongoClient created with monitorCommands: true
+ */
+function trackMongoClient(client) {
+  client.on('commandFailed', (event) => mongoErrorsTotal.inc({ operation: event.commandName }));
+}
+
+// ===== SFU snapshot =====
+
+async function collectSfuMetrics() {
+  const rooms = new Gauge('rooms_active', 'SFU rooms in memory');
+  const publishers = new Gauge('publishers_active', 'Rooms with a publisher sending media');
+  const viewers = new Gauge('viewers_active', 'Viewers with a consumer transport, by source', ['source']);
+  const transports = new Gauge('webrtc_transports', 'Room WebRTC transports by ICE and DTLS state', ['role', 'ice_state', 'dtls_state']);
+  const workerCpu = new Gauge('mediasoup_worker_cpu_seconds', 'mediasoup worker CPU time (user + system)', ['pid']);
+  const workerRss = new Gauge('mediasoup_worker_max_rss_bytes', 'mediasoup worker peak resident memory', ['pid']);
+  const workerRouters = new Gauge('mediasoup_worker_routers', 'Routers per mediasoup worker', ['pid']);
+  const workerTransports = new Gauge('mediasoup_worker_transports', 'Transports per mediasoup worker', ['pid']);
+
+  const summaries = getAllRooms();
+  rooms.set({}, summaries.length);
+  publishers.set({}, summaries.filter(summary => summary.hasPublisher).length);
+  viewers.set({ source: 'websocket' }, 0);
+  viewers.set({ source: 'whep' }, 0);
+
+  for (const { tokenAddress } of summaries) {
+    const room = getRoom(tokenAddress);
+    if (!room) continue;
+    const transport = room.publisher?.producerTransport;
+    if (transport && !transport.closed) {
+      transports.inc({ role: 'publisher', ice_state: transport.iceState, dtls_state: transport.dtlsState });
+    }
+    for (const [peerId, viewer] of room.viewers) {
+      viewers.inc({ source: peerId.startsWith('whep-') ? 'whep' : 'websocket' });
+      const consumerTransport = viewer.consumerTransport;
+      if (consumerTransport && !consumerTransport.closed) {
+        transports.inc({ role: 'viewer', ice_state: consumerTransport.iceState, dtls_state: consumerTransport.dtlsState });
+      }
+    }
+  }
+
+  for (const worker of workers) {
+    if (worker.closed) continue;
+    const pid = worker.pid;
+    const load = getWorkerLoad(worker);
+    workerRouters.set({ pid }, load.routers);
+    workerTransports.set({ pid }, load.transports);
+    try {
+      const usage = await worker.getResourceUsage();
+      workerCpu.set({ pid }, (usage.ru_utime + usage.ru_stime) / 1000);
+      // ru_maxrss is in kilobytes on Linux
+      workerRss.set({ pid }, usage.ru_maxrss * 1024);
+    } catch (e) {
+      console.warn(`📊 [Metrics] Resource usage unavailable for worker ${pid}:`, e.message);
+    }
+  }
+
+  return [rooms, publishers, viewers, transports, workerCpu, workerRss, workerRouters, workerTransports]
+    .flatMap(metric => metric.collect());
+}
+
+/**
+ * Everything in Prometheus text exposition format
+ */
+async function renderMetrics() {
+  const lines = registry.flatMap(metric => metric.collect());
+  lines.push(...await collectSfuMetrics());
+  return lines.join('\n') + '\n';
+}
+
+export {
+  wsConnections,
+  wsConnectionsTotal,
+  wsMessagesTotal,
+  sseConnections,
+  httpMetricsMiddleware,
+  recordRtmpWebhook,
+  trackMongoClient,
+  mongoErrorsTotal,
+  reconcilerFixesTotal,
+  renderMetrics,
+};
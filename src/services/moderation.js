@@ -0,0 +1,53 @@
+/**
+ * Stream moderation
+ * Persistent per-stream bans (chat timeouts live in the chat service)
+ */
+
+import { StreamBan } from '../models/StreamBan.js';
+
+/**
+ * Check whether an address is banned from a stream
+ */
+async function isBanned(publicStreamName, userAddress) {
+  if (!userAddress) return false;
+  const ban = await StreamBan.exists({ publicStreamName, userAddress: userAddress.toLowerCase() });
+  return !!ban;
+}
+
+/**
+ * Ban an address from a stream (idempotent; updates the reason)
+ */
+async function banUser(publicStreamName, userAddress, { reason = '', bannedBy }) {
+  const ban = await StreamBan.findOneAndUpdate(
+    { publicStreamName, userAddress: userAddress.toLowerCase() },
+    { reason, bannedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  console.log(`🛡️ [Moderation] Banned ${userAddress} from ${publicStreamName}`);
+  return ban;
+}
+
+/**
+ * Lift a ban; returns true if one existed
+ */
+async function unbanUser(publicStreamName, userAddress) {
+  const result = await StreamBan.deleteOne({ publicStreamName, userAddress: userAddress.toLowerCase() });
+  if (result.deletedCount > 0) {
+    console.log(`🛡️ [Moderation] Unbanned ${userAddress} from ${publicStreamName}`);
+  }
+  return result.deletedCount > 0;
+}
+
+/**
+ * List bans for a stream, newest first
+ */
+function listBans(publicStreamName) {
+  return StreamBan.find({ publicStreamName }).sort({ createdAt: -1 }).lean();
+}
+
+export {
+  isBanned,
+  banUser,
+  unbanUser,
+  listBans,
+};
@@ -0,0 +1,339 @@
+/**
+ * Signed outbound webhooks for stream lifecycle events
+ * Events are queued in Mongo once per matching subscription (WebhookDelivery) and sent by a poller on every
+ * instance, with exponential backoff between attempts. Each request carries an HMAC-SHA256 signature of
+ * "<timestamp>.<body>" keyed with the subscription's secret.
+ */
+
+import crypto from 'crypto';
+import { Stream } from '../models/Stream.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { subscribeStreamEvents } from './stream-events.js';
+
+const WEBHOOK_EVENTS = ['stream.created', 'stream.live', 'stream.ended', 'stream.viewer_milestone'];
+const ATTEMPT_LOG_SIZE = 20;
+const MAX_RETRY_DELAY_MS = 6 * 3600 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+let pollTimer = null;
+let processing = false;
+let unsubscribe = null;
+// Events still being queued (awaited on shutdown so none are lost)
+const queuing = new Set();
+// publicStreamName => highest milestone already queued this broadcast
+const reachedMilestones = new Map();
+
+function getWebhookSettings() {
+  return {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000,
+    timeoutMs: (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10) * 1000,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 4,
+    milestones: (process.env.WEBHOOK_VIEWER_MILESTONES || '10,100,1000')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0)
+      .sort((a, b) => a - b),
+  };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * X-Dew-Signature value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelayMs(attempts, { retryBaseMs }) {
+  return Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Public fields of a stream for payloads (never the streamKey)
+function describeStream(stream) {
+  return {
+    publicStreamName: stream.publicStreamName,
+    userId: stream.userId,
+    title: stream.title,
+    isLive: stream.isLive,
+    ingestType: stream.ingestType,
+    startTime: stream.startTime,
+    endTime: stream.endTime,
+    viewerCount: stream.viewerCount,
+  };
+}
+
+// ===== Queue =====
+
+/**
+ * Queue an event for every enabled subscription to it. eventId identifies the event: queuing the same
+ * id twice for a subscription is a no-op (e.g. publish_done and the reconciler both ending a stream).
+ */
+async function enqueueWebhookEvent(event, eventId, data) {
+  const subscriptions = await WebhookSubscription.find({ enabled: true, events: { $in: [event, '*'] } })
+    .select('_id')
+    .lean();
+  if (!subscriptions.length) return 0;
+
+  const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+  const deliveries = subscriptions.map(subscription => ({
+    subscriptionId: subscription._id,
+    eventId,
+    event,
+    payload,
+    dedupeKey: `${subscription._id}:${eventId}`,
+  }));
+
+  let queued = deliveries.length;
+  try {
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+  } catch (e) {
+    const duplicates = (e.writeErrors || []).filter(error => error.code === 11000 || error.err?.code === 11000).length;
+    if (!duplicates || duplicates < (e.writeErrors || []).length) throw e;
+    queued -= duplicates;
+  }
+
+  if (queued) {
+    console.log(`📮 [Webhooks] Queued ${event} (${eventId}) for ${queued} subscription(s)`);
+    processDueDeliveries();
+  }
+  return queued;
+}
+
+/**
+ * Queue stream.created for a new stream
+ */
+function notifyStreamCreated(stream) {
+  enqueueWebhookEvent('stream.created', `${stream.publicStreamName}:created:${stream._id}`, { stream: describeStream(stream) })
+    .catch(e => console.error('📮 [Webhooks] Failed to queue stream.created:', e));
+}
+
+// Broadcast-scoped events are keyed by the broadcast's startTime
+function broadcastKey(stream) {
+  return `${stream.publicStreamName}:${new Date(stream.startTime || 0).getTime()}`;
+}
+
+async function onStreamEvent({ type, publicStreamName, data }) {
+  if (type === 'live') {
+    reachedMilestones.delete(publicStreamName);
+    const stream = await Stream.findOne({ publicStreamName }).lean();
+    if (!stream) return;
+    await enqueueWebhookEvent('stream.live', `${broadcastKey(stream)}:live`, { stream: describeStream(stream) });
+  } else if (type === 'offline') {
+    reachedMilestones.delete(publicStreamName);
+    const stream = await Stream.findOne({ publicStreamName }).lean();
+    if (!stream) return;
+    await enqueueWebhookEvent('stream.ended', `${broadcastKey(stream)}:ended`, { stream: describeStream(stream) });
+  } else if (type === 'viewer-count') {
+    const { milestones } = getWebhookSettings();
+    const previous = reachedMilestones.get(publicStreamName) || 0;
+    const crossed = milestones.filter(milestone => milestone > previous && milestone <= data.viewerCount);
+    if (!crossed.length) return;
+    reachedMilestones.set(publicStreamName, crossed[crossed.length - 1]);
+
+    const stream = await Stream.findOne({ publicStreamName }).lean();
+    if (!stream?.isLive) return;
+    for (const milestone of crossed) {
+      await enqueueWebhookEvent('stream.viewer_milestone', `${broadcastKey(stream)}:viewers-${milestone}`, {
+        stream: describeStream(stream),
+        milestone,
+        viewerCount: data.viewerCount,
+      });
+    }
+  }
+}
+
+// ===== Delivery =====
+
+/**
+ * POST one payload to a subscription; resolves to { ok, responseStatus, error, durationMs }
+ */
+async function sendWebhook(subscription, delivery, { timeoutMs }) {
+  const body = JSON.stringify(delivery.payload);
+  const start = Date.now();
+  try {
+    const res = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dew-streaming-service-webhooks',
+        'X-Dew-Event': delivery.event,
+        'X-Dew-Delivery': String(delivery._id),
+        'X-Dew-Signature': signPayload(subscription.secret, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // Drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    return {
+      ok: res.status >= 200 && res.status < 300,
+      responseStatus: res.status,
+      error: res.ok ? null : `HTTP ${res.status}`,
+      durationMs: Date.now() - start,
+    };
+  } catch (e) {
+    return { ok: false, responseStatus: null, error: String(e.cause?.message || e.message || e).slice(0, MAX_ERROR_LENGTH), durationMs: Date.now() - start };
+  }
+}
+
+async function claimNextDelivery({ timeoutMs }) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lt: now } },
+      ],
+    },
+    { status: 'delivering', lockedUntil: new Date(now.getTime() + timeoutMs * 3) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+}
+
+async function attemptDelivery(delivery, settings) {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).lean();
+  const at = new Date();
+  const result = subscription?.enabled
+    ? await sendWebhook(subscription, delivery, settings)
+    : { ok: false, responseStatus: null, error: subscription ? 'Subscription disabled' : 'Subscription deleted', durationMs: null };
+
+  const attempts = delivery.attempts + 1;
+  // Nothing to retry against once the subscription is gone or switched off
+  const giveUp = !subscription?.enabled || attempts >= settings.maxAttempts;
+  const update = {
+    attempts,
+    lockedUntil: null,
+    lastResponseStatus: result.responseStatus,
+    lastError: result.error,
+  };
+  if (result.ok) {
+    Object.assign(update, { status: 'succeeded', deliveredAt: new Date() });
+  } else if (giveUp) {
+    update.status = 'failed';
+  } else {
+    Object.assign(update, { status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts, settings)) });
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: update,
+      $push: {
+        attemptLog: {
+          $each: [{ at, responseStatus: result.responseStatus, error: result.error, durationMs: result.durationMs }],
+          $slice: -ATTEMPT_LOG_SIZE,
+        },
+      },
+    }
+  );
+
+  if (!result.ok) {
+    const next = update.status === 'pending' ? `retrying at ${update.nextAttemptAt.toISOString()}` : 'giving up';
+    console.warn(`📮 [Webhooks] ${delivery.event} to ${subscription?.url || delivery.subscriptionId} failed (${result.error}), attempt ${attempts}, ${next}`);
+  }
+}
+
+/**
+ * Send every due delivery (WEBHOOK_CONCURRENCY at a time); overlapping calls are no-ops
+ */
+async function processDueDeliveries() {
+  if (processing) return;
+  processing = true;
+  const settings = getWebhookSettings();
+  const worker = async () => {
+    try {
+      for (let delivery = await claimNextDelivery(settings); delivery; delivery = await claimNextDelivery(settings)) {
+        await attemptDelivery(delivery, settings);
+      }
+    } catch (e) {
+      // A delivery left 'delivering' is picked up again once its lease expires
+      console.error('📮 [Webhooks] Delivery loop failed:', e);
+    }
+  };
+  await Promise.all(Array.from({ length: settings.concurrency }, worker));
+  processing = false;
+}
+
+/**
+ * Queue a delivery's payload again (same event id and body, fresh signature) as a new delivery
+ */
+async function replayDelivery(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) return null;
+  const replay = await WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+  });
+  console.log(`📮 [Webhooks] Replaying delivery ${original._id} as ${replay._id}`);
+  processDueDeliveries();
+  return replay;
+}
+
+/**
+ * Queue a ping for one subscription (regardless of its event types)
+ */
+async function pingSubscription(subscription) {
+  const eventId = `ping:${crypto.randomUUID()}`;
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: subscription._id,
+    eventId,
+    event: 'ping',
+    payload: { id: eventId, type: 'ping', createdAt: new Date().toISOString(), data: {} },
+  });
+  processDueDeliveries();
+  return delivery;
+}
+
+/**
+ * Follow stream status events and start the delivery poller
+ */
+function initializeOutboundWebhooks() {
+  if (pollTimer) return;
+  const { pollIntervalMs } = getWebhookSettings();
+
+  unsubscribe = subscribeStreamEvents((event) => {
+    const task = onStreamEvent(event)
+      .catch(e => console.error(`📮 [Webhooks] Failed to queue ${event.type} for ${event.publicStreamName}:`, e))
+      .finally(() => queuing.delete(task));
+    queuing.add(task);
+  });
+  pollTimer = setInterval(processDueDeliveries, pollIntervalMs);
+  pollTimer.unref();
+  console.log('📮 [Webhooks] Outbound webhook delivery started');
+}
+
+/**
+ * Stop polling and following events once the events already received are queued (shutdown).
+ * Queued deliveries are sent by another instance or after the restart; one mid-attempt is retried when its lease expires.
+ */
+async function stopOutboundWebhooks() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  unsubscribe?.();
+  unsubscribe = null;
+  await Promise.allSettled(Array.from(queuing));
+}
+
+export {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signPayload,
+  sendWebhook,
+  enqueueWebhookEvent,
+  notifyStreamCreated,
+  replayDelivery,
+  pingSubscription,
+  initializeOutboundWebhooks,
+  stopOutboundWebhooks,
+};
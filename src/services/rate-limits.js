@@ -0,0 +1,137 @@
+/**
+ * Connection, room and request limits
+ * Per-IP WebSocket connection caps, per-socket message token buckets, per-room viewer caps and
+ * fixed-window REST request limits. All counters are in memory, so limits apply per instance.
+ */
+
+// Close code for sockets over a rate or connection limit
+const RATE_LIMIT_CLOSE_CODE = 4429;
+// Close code for viewers of a stream that doesn't exist (no room is created for it)
+const NOT_REGISTERED_CLOSE_CODE = 4404;
+// Close code for viewers of a room at ROOM_MAX_VIEWERS
+const ROOM_FULL_CLOSE_CODE = 4503;
+
+// ip => open WebSocket connections
+const connectionsByIp = new Map();
+// `${name}:${key}` => { count, resetAt }
+const requestWindows = new Map();
+
+function getRateLimitSettings() {
+  return {
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    maxConnectionsPerIp: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP ?? '20') || 0,
+    maxMessageBytes: parseInt(process.env.WS_MAX_MESSAGE_BYTES) || 256 * 1024,
+    messagesPerSecond: parseInt(process.env.WS_MESSAGE_RATE_LIMIT) || 20,
+    messageBurst: parseInt(process.env.WS_MESSAGE_BURST) || 40,
+    roomMaxViewers: parseInt(process.env.ROOM_MAX_VIEWERS ?? '1000') || 0,
+  };
+}
+
+/**
+ * Client IP of a request; the first X-Forwarded-For hop only with TRUST_PROXY=true
+ */
+function getClientIp(forwardedFor, remoteAddress) {
+  const { trustProxy } = getRateLimitSettings();
+  const forwarded = trustProxy && forwardedFor ? forwardedFor.split(',')[0].trim() : '';
+  return (forwarded || remoteAddress || 'unknown').replace(/^::ffff:/, '');
+}
+
+/**
+ * Count a new WebSocket connection for an IP; false (nothing counted) if it is at WS_MAX_CONNECTIONS_PER_IP
+ */
+function acquireConnectionSlot(ip) {
+  const { maxConnectionsPerIp } = getRateLimitSettings();
+  const open = connectionsByIp.get(ip) || 0;
+  if (maxConnectionsPerIp && open >= maxConnectionsPerIp) return false;
+  connectionsByIp.set(ip, open + 1);
+  return true;
+}
+
+function releaseConnectionSlot(ip) {
+  const open = (connectionsByIp.get(ip) || 0) - 1;
+  if (open > 0) connectionsByIp.set(ip, open);
+  else connectionsByIp.delete(ip);
+}
+
+/**
+ * Token bucket for one socket's messages: WS_MESSAGE_RATE_LIMIT per second, bursts up to WS_MESSAGE_BURST
+ */
+function createMessageLimiter() {
+  const { messagesPerSecond, messageBurst } = getRateLimitSettings();
+  return { tokens: messageBurst, refilledAt: Date.now(), dropped: 0, messagesPerSecond, messageBurst };
+}
+
+/**
+ * 'ok' to handle the message, 'drop' to refuse it, or 'close' once a socket keeps flooding
+ * (a full burst dropped with no accepted message in between)
+ */
+function takeMessageToken(limiter) {
+  const now = Date.now();
+  limiter.tokens = Math.min(limiter.messageBurst, limiter.tokens + ((now - limiter.refilledAt) / 1000) * limiter.messagesPerSecond);
+  limiter.refilledAt = now;
+
+  if (limiter.tokens >= 1) {
+    limiter.tokens -= 1;
+    limiter.dropped = 0;
+    return 'ok';
+  }
+  limiter.dropped += 1;
+  return limiter.dropped >= limiter.messageBurst ? 'close' : 'drop';
+}
+
+/**
+ * Whether a room already has ROOM_MAX_VIEWERS viewers: WebSocket viewers (HLS fallback ones included,
+ * they still hold a socket for chat) plus WHEP players
+ */
+function isRoomFull(room) {
+  const { roomMaxViewers } = getRateLimitSettings();
+  if (!roomMaxViewers) return false;
+  let viewers = 0;
+  for (const ws of room.peers.values()) {
+    if (ws.meta?.role === 'viewer') viewers++;
+  }
+  for (const peerId of room.viewers.keys()) {
+    if (peerId.startsWith('whep-')) viewers++;
+  }
+  return viewers >= roomMaxViewers;
+}
+
+/**
+ * Count one request in a fixed window; returns { allowed, retryAfterSeconds }
+ */
+function takeRequest(name, key, { limit, windowMs }) {
+  const now = Date.now();
+
+  // Occasionally drop expired windows
+  if (requestWindows.size > 10000) {
+    for (const [windowKey, window] of requestWindows) {
+      if (window.resetAt <= now) requestWindows.delete(windowKey);
+    }
+  }
+
+  const windowKey = `${name}:${key}`;
+  let window = requestWindows.get(windowKey);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    requestWindows.set(windowKey, window);
+  }
+  if (window.count >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000) };
+  }
+  window.count++;
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+export {
+  RATE_LIMIT_CLOSE_CODE,
+  NOT_REGISTERED_CLOSE_CODE,
+  ROOM_FULL_CLOSE_CODE,
+  getRateLimitSettings,
+  getClientIp,
+  acquireConnectionSlot,
+  releaseConnectionSlot,
+  createMessageLimiter,
+  takeMessageToken,
+  isRoomFull,
+  takeRequest,
+};
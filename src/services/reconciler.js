@@ -0,0 +1,144 @@
+/**
+ * Live state reconciliation
+ * Stream documents are only set offline by the socket close handler and on_publish_done, so a crash
+ * (or a missed webhook) leaves them live forever. On boot and every RECONCILE_INTERVAL_SECONDS this
+ * compares live streams with the rooms in memory and the RTMP sessions seen through the webhooks,
+ * ends the orphaned ones and corrects viewer counts.
+ */
+
+import { Stream } from '../models/Stream.js';
+import { getRoom } from '../sfu/room-manager.js';
+import { closeSession, recordViewerCount } from './stream-sessions.js';
+import { closeOpenVisits } from './viewer-analytics.js';
+import { isRelayActive, stopRtmpRelay } from './rtmp-relay.js';
+import { findRoomHost } from './room-registry.js';
+import { reconcilerFixesTotal } from './metrics.js';
+import { publishStreamEvent, publishViewerCount } from './stream-events.js';
+
+let reconcileTimer = null;
+let running = false;
+
+// Unset or unparsable falls back to the default; an explicit 0 is kept
+function msFromEnv(name, defaultSeconds) {
+  const seconds = parseInt(process.env[name]);
+  return (Number.isNaN(seconds) ? defaultSeconds : Math.max(seconds, 0)) * 1000;
+}
+
+function getReconcilerSettings() {
+  return {
+    intervalMs: (parseInt(process.env.RECONCILE_INTERVAL_SECONDS) || 60) * 1000,
+    // RTMP sessions heartbeat through on_update (every notify_update_timeout, 30s in infra/nginx-rtmp);
+    // 0 keeps RTMP streams live until on_publish_done
+    rtmpTimeoutMs: msFromEnv('RTMP_SESSION_TIMEOUT_SECONDS', 90),
+  };
+}
+
+/**
+ * Set a stream offline as of the last time its ingest was seen, closing its session and open visits.
+ * The filter on startTime skips streams that went live again since they were read.
+ */
+async function endOrphanedStream(stream, reason) {
+  const name = stream.publicStreamName;
+  const endTime = new Date(Math.max(
+    new Date(stream.lastSeenAt || Date.now()).getTime(),
+    new Date(stream.startTime || 0).getTime()
+  ));
+
+  const { modifiedCount } = await Stream.updateOne(
+    { _id: stream._id, isLive: true, startTime: stream.startTime },
+    { isLive: false, endTime, viewerCount: 0 }
+  );
+  if (!modifiedCount) return false;
+  publishStreamEvent('offline', name, { endTime });
+
+  if (isRelayActive(name)) await stopRtmpRelay(name);
+  await closeSession(name, endTime);
+  await closeOpenVisits(name, endTime);
+  reconcilerFixesTotal.inc({ kind: 'offline' });
+  console.warn(`🧾 [Reconciler] ${name} set offline (${reason}), ended ${endTime.toISOString()}`);
+  return true;
+}
+
+async function correctViewerCount(stream, viewerCount) {
+  if (stream.viewerCount === viewerCount) return;
+  await Stream.updateOne({ _id: stream._id, isLive: true }, { viewerCount });
+  await recordViewerCount(stream.publicStreamName, viewerCount);
+  publishViewerCount(stream.publicStreamName, viewerCount);
+  reconcilerFixesTotal.inc({ kind: 'viewer_count' });
+  console.log(`🧾 [Reconciler] ${stream.publicStreamName} viewer count ${stream.viewerCount} -> ${viewerCount}`);
+}
+
+async function reconcileLiveStream(stream, settings) {
+  const name = stream.publicStreamName;
+
+  // Streams whose room lives on another instance are that instance's business
+  const placement = await findRoomHost(name);
+  const room = placement.local ? getRoom(name) : null;
+
+  if (stream.ingestType === 'rtmp') {
+    const lastSeen = new Date(stream.lastSeenAt || stream.startTime || 0).getTime();
+    if (settings.rtmpTimeoutMs && Date.now() - lastSeen > settings.rtmpTimeoutMs) {
+      return endOrphanedStream(stream, 'no RTMP update');
+    }
+  } else if (placement.local) {
+    // The publisher slot includes publishers held for a reconnect
+    if (!room?.publisher) return endOrphanedStream(stream, 'no SFU publisher');
+    await Stream.updateOne({ _id: stream._id }, { lastSeenAt: new Date() });
+  }
+
+  if (placement.local) await correctViewerCount(stream, room ? room.getViewerCount() : 0);
+  return false;
+}
+
+/**
+ * One pass over every live stream; also zeroes viewer counts left on offline streams
+ */
+async function reconcileLiveState() {
+  if (running) return;
+  running = true;
+  try {
+    const settings = getReconcilerSettings();
+    const live = await Stream.find({ isLive: true })
+      .select('publicStreamName ingestType startTime lastSeenAt viewerCount')
+      .lean();
+
+    let ended = 0;
+    for (const stream of live) {
+      try {
+        if (await reconcileLiveStream(stream, settings)) ended++;
+      } catch (e) {
+        console.error(`🧾 [Reconciler] Failed to reconcile ${stream.publicStreamName}:`, e);
+      }
+    }
+
+    const { modifiedCount } = await Stream.updateMany({ isLive: false, viewerCount: { $ne: 0 } }, { viewerCount: 0 });
+    if (modifiedCount) reconcilerFixesTotal.inc({ kind: 'viewer_count' }, modifiedCount);
+
+    if (ended || modifiedCount) {
+      console.log(`🧾 [Reconciler] ${live.length} live stream(s) checked, ${ended} set offline, ${modifiedCount} offline viewer count(s) reset`);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Reconcile now and then every RECONCILE_INTERVAL_SECONDS
+ * (call after initializeRoomRegistry so our previous run's room claims are gone)
+ */
+async function initializeReconciler() {
+  if (reconcileTimer) return;
+  const { intervalMs } = getReconcilerSettings();
+
+  await reconcileLiveState().catch(e => console.error('🧾 [Reconciler] Startup reconciliation failed:', e));
+  reconcileTimer = setInterval(() => {
+    reconcileLiveState().catch(e => console.error('🧾 [Reconciler] Reconciliation failed:', e));
+  }, intervalMs);
+  reconcileTimer.unref();
+  console.log(`🧾 [Reconciler] Reconciling live streams every ${intervalMs / 1000}s`);
+}
+
+export {
+  initializeReconciler,
+  reconcileLiveState,
+};
@@ -0,0 +1,162 @@
+/**
+ * Reconnect grace periods for WebSocket peers
+ * Every socket gets a resume token in connection-success. When a socket drops, its place in the
+ * room is held for a grace window: a publisher keeps the broadcast (viewers are told it's
+ * reconnecting), a viewer stays counted. Reconnecting with the token within the window takes
+ * the same peerId back; otherwise the peer is torn down as if it had just left.
+ */
+
+import crypto from 'crypto';
+import { getRoom } from '../sfu/room-manager.js';
+import { endSfuBroadcast, viewerLeft, releaseRoomIfIdle } from './broadcasts.js';
+import { stopRecording } from './recordings.js';
+import { stopHlsBridge } from './hls-bridge.js';
+
+// token => { tokenAddress, role, peerId, userAddress, ws (null while held), timer }
+const resumable = new Map();
+
+// 0 disables the grace period (drops are final right away)
+function graceMsFromEnv(name, defaultSeconds) {
+  const seconds = parseInt(process.env[name]);
+  return (Number.isNaN(seconds) ? defaultSeconds : Math.max(seconds, 0)) * 1000;
+}
+
+function getGraceSettings() {
+  return {
+    publisherGraceMs: graceMsFromEnv('PUBLISHER_RECONNECT_GRACE_SECONDS', 15),
+    viewerGraceMs: graceMsFromEnv('VIEWER_RECONNECT_GRACE_SECONDS', 10),
+  };
+}
+
+function graceMsForRole(role) {
+  const { publisherGraceMs, viewerGraceMs } = getGraceSettings();
+  return role === 'publisher' ? publisherGraceMs : viewerGraceMs;
+}
+
+/**
+ * Issue the resume token for a newly connected socket (ws.meta must be set)
+ */
+function issueResumeToken(ws) {
+  const { tokenAddress, role, peerId, userAddress } = ws.meta;
+  const token = crypto.randomBytes(24).toString('hex');
+  resumable.set(token, { tokenAddress, role, peerId, userAddress, ws, timer: null });
+  ws.meta.resumeToken = token;
+  return token;
+}
+
+/**
+ * The peer a resume token stands for, if it's still valid for this room, role and address
+ */
+function findResumable(token, { tokenAddress, role, userAddress }) {
+  const entry = token ? resumable.get(token) : null;
+  if (!entry) return null;
+  if (entry.tokenAddress !== tokenAddress || entry.role !== role || entry.userAddress !== userAddress) return null;
+  return entry;
+}
+
+/**
+ * Free a dropped peer's media but keep its place (publisher slot / viewer count)
+ */
+function suspendPeer(room, { role, peerId }, graceMs) {
+  if (role === 'publisher') {
+    if (room.publisher?.peerId !== peerId) return;
+    // Their PlainTransports consume the closed producers; both restart on the next produce
+    stopRecording(room.tokenAddress).catch(e => console.error('⏳ [Reconnect] Failed to stop recording:', e));
+    stopHlsBridge(room.tokenAddress).catch(e => console.error('⏳ [Reconnect] Failed to stop HLS bridge:', e));
+    room.suspendPublisher();
+    room.broadcast({ type: 'publisher-reconnecting', graceSeconds: graceMs / 1000 });
+  } else {
+    room.suspendViewer(peerId);
+  }
+}
+
+/**
+ * Grace window over without a reconnect: tear the peer down for good
+ */
+async function expire(token) {
+  const entry = resumable.get(token);
+  if (!entry || entry.ws) return;
+  resumable.delete(token);
+
+  const room = getRoom(entry.tokenAddress);
+  if (!room) return;
+  console.log(`⏳ [Reconnect] Grace period over for ${entry.role} ${entry.peerId} (${entry.tokenAddress})`);
+
+  if (entry.role === 'publisher' && room.publisher?.peerId === entry.peerId) {
+    await endSfuBroadcast(room);
+  } else if (entry.role === 'viewer' && room.viewers.has(entry.peerId)) {
+    await viewerLeft(room, entry.peerId);
+  } else {
+    releaseRoomIfIdle(room);
+  }
+}
+
+/**
+ * Socket closed: hold the peer for its grace window.
+ * Returns false when the peer should be torn down right away (no grace configured, token revoked).
+ */
+function holdDisconnectedPeer(room, ws) {
+  const token = ws.meta.resumeToken;
+  const entry = resumable.get(token);
+  if (!entry || entry.ws !== ws) return false;
+
+  const graceMs = graceMsForRole(entry.role);
+  if (!graceMs) {
+    resumable.delete(token);
+    return false;
+  }
+
+  entry.ws = null;
+  suspendPeer(room, entry, graceMs);
+  entry.timer = setTimeout(() => {
+    expire(token).catch(e => console.error('⏳ [Reconnect] Failed to end held peer:', e));
+  }, graceMs);
+  console.log(`⏳ [Reconnect] Holding ${entry.role} ${entry.peerId} for ${graceMs / 1000}s (${entry.tokenAddress})`);
+  return true;
+}
+
+/**
+ * Attach a reconnected socket to the peer behind its resume token; returns the resumed peerId.
+ * If the old socket still looks open (we hadn't noticed the drop yet), it is retired first.
+ * The token is replaced by a new one (ws.meta.resumeToken), so a used token can't resume again.
+ */
+function resumePeer(room, token, ws) {
+  const entry = resumable.get(token);
+  clearTimeout(entry.timer);
+  entry.timer = null;
+
+  const previous = entry.ws;
+  if (previous) {
+    previous.meta.superseded = true;
+    suspendPeer(room, entry, graceMsForRole(entry.role));
+    try { previous.terminate(); } catch {}
+  }
+
+  resumable.delete(token);
+  const freshToken = crypto.randomBytes(24).toString('hex');
+  resumable.set(freshToken, entry);
+
+  entry.ws = ws;
+  ws.meta.resumeToken = freshToken;
+  console.log(`⏳ [Reconnect] Resumed ${entry.role} ${entry.peerId} (${entry.tokenAddress})`);
+  return entry.peerId;
+}
+
+/**
+ * Make a socket's drop final (kicked, banned, stream disabled); call before closing it
+ */
+function revokeResumeToken(ws) {
+  const token = ws?.meta?.resumeToken;
+  const entry = token ? resumable.get(token) : null;
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  resumable.delete(token);
+}
+
+export {
+  issueResumeToken,
+  findResumable,
+  holdDisconnectedPeer,
+  resumePeer,
+  revokeResumeToken,
+};
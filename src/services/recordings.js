@@ -0,0 +1,193 @@
+/**
+ * Server-side recording of SFU broadcasts
+ * Pipes a room's producers through PlainTransports into ffmpeg and registers the file against the session
+ */
+
+import { mkdir, stat } from 'fs/promises';
+import { join, resolve } from 'path';
+import { Recording } from '../models/Recording.js';
+import { createRtpOutput } from '../sfu/rtp-output.js';
+import { spawnFfmpeg } from '../sfu/ffmpeg.js';
+import { getOpenSession } from './stream-sessions.js';
+
+// ffmpeg needs a moment to bind its UDP ports before media flows
+const FFMPEG_WARMUP_MS = 1000;
+// Wait for the publisher's remaining producers before auto-starting
+const AUTO_RECORD_DELAY_MS = 2000;
+
+// tokenAddress => { recordingId, output, ffmpeg, filePath, startedAt, onStopped, cancelled } (ffmpeg is null while starting)
+const activeRecordings = new Map();
+// tokenAddress => auto-record timer
+const autoRecordTimers = new Map();
+
+function getRecordingDir() {
+  return resolve(process.env.RECORDING_DIR || './recordings');
+}
+
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function recordingArgs(format, filePath) {
+  const audioArgs = format === 'mp4'
+    ? ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart']
+    : ['-c:a', 'copy'];
+  return [
+    '-protocol_whitelist', 'pipe,udp,rtp',
+    '-fflags', '+genpts',
+    '-f', 'sdp',
+    '-i', 'pipe:0',
+    '-map', '0',
+    '-c:v', 'copy',
+    ...audioArgs,
+    '-y', filePath,
+  ];
+}
+
+/**
+ * Check if a room is being recorded
+ */
+function isRecording(tokenAddress) {
+  return activeRecordings.has(tokenAddress);
+}
+
+/**
+ * Start recording a room's current producers.
+ * VP8/VP9 are written as WebM, H264 as MP4 (audio transcoded to AAC).
+ */
+async function startRecording(room, { onStopped } = {}) {
+  const { tokenAddress } = room;
+  if (activeRecordings.has(tokenAddress)) throw new Error('Already recording');
+
+  const producers = room.getProducers();
+  if (producers.length === 0) throw new Error('Nothing to record');
+
+  // Reserve the slot before awaiting so concurrent callers don't double-start; stopRecording
+  // cancels a reservation that hasn't started ffmpeg yet
+  const entry = { recordingId: null, output: null, ffmpeg: null, filePath: null, startedAt: null, onStopped, cancelled: false };
+  activeRecordings.set(tokenAddress, entry);
+  let doc = null;
+
+  try {
+    const label = `rec-${tokenAddress}`;
+    entry.output = await createRtpOutput(room.router, producers, { label });
+
+    const video = entry.output.codecs.find(c => c.kind === 'video');
+    const format = video && /h264/i.test(video.mimeType) ? 'mp4' : 'webm';
+
+    const dir = join(getRecordingDir(), safeName(tokenAddress));
+    await mkdir(dir, { recursive: true });
+    entry.startedAt = new Date();
+    entry.filePath = join(dir, `${entry.startedAt.getTime()}.${format}`);
+
+    const session = await getOpenSession(tokenAddress).lean();
+    doc = await Recording.create({
+      publicStreamName: tokenAddress,
+      sessionId: session?._id || null,
+      filePath: entry.filePath,
+      format,
+      startedAt: entry.startedAt,
+    });
+    entry.recordingId = doc._id;
+
+    // The publisher may have left (and stopRecording run) while we were setting up
+    if (entry.cancelled || !room.hasPublisher()) throw new Error('Publisher left');
+
+    entry.ffmpeg = spawnFfmpeg(recordingArgs(format, entry.filePath), { label, input: entry.output.sdp });
+    const { output, ffmpeg } = entry;
+
+    setTimeout(() => {
+      output.resume().catch(e => console.error(`⏺️ [Recording] Failed to resume consumers for ${tokenAddress}:`, e));
+    }, FFMPEG_WARMUP_MS);
+
+    // ffmpeg exiting on its own (crash, missing binary) ends the recording
+    ffmpeg.exited.then(({ error }) => {
+      if (activeRecordings.get(tokenAddress) === entry) {
+        activeRecordings.delete(tokenAddress);
+        finalizeRecording(entry, error ? error.message : 'ffmpeg exited unexpectedly')
+          .catch(e => console.error(`⏺️ [Recording] Failed to finalize ${tokenAddress}:`, e));
+      }
+    });
+
+    console.log(`⏺️ [Recording] Started: ${tokenAddress} -> ${entry.filePath}`);
+    return doc;
+  } catch (e) {
+    if (activeRecordings.get(tokenAddress) === entry) activeRecordings.delete(tokenAddress);
+    entry.output?.close();
+    if (doc) {
+      Recording.findByIdAndUpdate(doc._id, { status: 'failed', endedAt: new Date(), durationSeconds: 0, error: e.message })
+        .catch(err => console.error(`⏺️ [Recording] Failed to mark ${tokenAddress} failed:`, err));
+    }
+    throw e;
+  }
+}
+
+/**
+ * Stop a room's recording; returns the recording document or null if none was running.
+ * Pass notify: false when the caller reports the result itself.
+ */
+async function stopRecording(tokenAddress, { notify = true } = {}) {
+  clearAutoRecording(tokenAddress);
+
+  const entry = activeRecordings.get(tokenAddress);
+  if (!entry) return null;
+  activeRecordings.delete(tokenAddress);
+
+  // Still starting: startRecording sees the flag and cleans up after itself
+  if (!entry.ffmpeg) {
+    entry.cancelled = true;
+    return null;
+  }
+
+  if (!notify) entry.onStopped = null;
+  await entry.ffmpeg.stop();
+  return finalizeRecording(entry);
+}
+
+async function finalizeRecording(entry, failure) {
+  entry.output.close();
+
+  const endedAt = new Date();
+  let sizeBytes = 0;
+  try {
+    sizeBytes = (await stat(entry.filePath)).size;
+  } catch {}
+
+  const failed = sizeBytes === 0;
+  const doc = await Recording.findByIdAndUpdate(entry.recordingId, {
+    status: failed ? 'failed' : 'completed',
+    endedAt,
+    durationSeconds: (endedAt - entry.startedAt) / 1000,
+    sizeBytes,
+    error: failed ? (failure || 'No media written') : null,
+  }, { new: true }).lean();
+
+  console.log(`⏺️ [Recording] ${failed ? 'Failed' : 'Completed'}: ${entry.filePath} (${sizeBytes} bytes)`);
+  try { entry.onStopped?.(doc); } catch {}
+  return doc;
+}
+
+/**
+ * Start recording shortly after the publisher's producers appear (per-stream autoRecord setting)
+ */
+function scheduleAutoRecording(room, options) {
+  clearAutoRecording(room.tokenAddress);
+  autoRecordTimers.set(room.tokenAddress, setTimeout(() => {
+    autoRecordTimers.delete(room.tokenAddress);
+    if (isRecording(room.tokenAddress) || !room.hasPublisher()) return;
+    startRecording(room, options)
+      .catch(e => console.error(`⏺️ [Recording] Auto-record failed for ${room.tokenAddress}:`, e));
+  }, AUTO_RECORD_DELAY_MS));
+}
+
+function clearAutoRecording(tokenAddress) {
+  clearTimeout(autoRecordTimers.get(tokenAddress));
+  autoRecordTimers.delete(tokenAddress);
+}
+
+export {
+  isRecording,
+  startRecording,
+  stopRecording,
+  scheduleAutoRecording,
+};
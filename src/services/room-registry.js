@@ -0,0 +1,185 @@
+/**
+ * Shared room registry for multi-instance deployments
+ * Rooms live in one process's memory, so every publisher and viewer of a stream has to reach the
+ * instance hosting its room. Instances claim rooms in Mongo, heartbeat, and release the rooms of
+ * instances that stop heartbeating. Disabled (every room is local) unless CLUSTER_ENABLED=true.
+ */
+
+import os from 'os';
+import { SfuNode } from '../models/SfuNode.js';
+import { RoomHost } from '../models/RoomHost.js';
+import { Stream } from '../models/Stream.js';
+import { closeSession } from './stream-sessions.js';
+import { publishStreamEvent } from './stream-events.js';
+
+let heartbeatTimer = null;
+
+function getClusterSettings() {
+  const port = process.env.PORT || 8787;
+  return {
+    enabled: process.env.CLUSTER_ENABLED === 'true',
+    // Stable across restarts so a restarted instance can drop the claims of its previous run
+    nodeId: process.env.NODE_ID || `${os.hostname()}-${port}`,
+    publicUrl: (process.env.NODE_PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+    heartbeatMs: (parseInt(process.env.NODE_HEARTBEAT_SECONDS) || 10) * 1000,
+    timeoutMs: (parseInt(process.env.NODE_TIMEOUT_SECONDS) || 30) * 1000,
+  };
+}
+
+function isNodeAlive(node, { timeoutMs }) {
+  return !!node && Date.now() - new Date(node.lastHeartbeatAt).getTime() < timeoutMs;
+}
+
+async function getLiveNode(nodeId, settings) {
+  const node = await SfuNode.findOne({ nodeId }).lean();
+  return isNodeAlive(node, settings) ? { nodeId: node.nodeId, publicUrl: node.publicUrl } : null;
+}
+
+/**
+ * Release every room of instances that stopped heartbeating and mark their SFU streams offline
+ */
+async function reapDeadNodes(settings) {
+  const cutoff = new Date(Date.now() - settings.timeoutMs);
+  const deadNodes = await SfuNode.find({ nodeId: { $ne: settings.nodeId }, lastHeartbeatAt: { $lt: cutoff } }).lean();
+
+  for (const node of deadNodes) {
+    const hosts = await RoomHost.find({ nodeId: node.nodeId }).lean();
+    const names = hosts.map(host => host.publicStreamName);
+    const endTime = new Date();
+
+    // RTMP ingests are owned by nginx and its webhooks, not by the dead instance
+    const orphaned = await Stream.find({ publicStreamName: { $in: names }, isLive: true, ingestType: 'sfu' }).lean();
+    for (const stream of orphaned) {
+      await Stream.updateOne({ _id: stream._id }, { isLive: false, endTime, viewerCount: 0 });
+      publishStreamEvent('offline', stream.publicStreamName, { endTime });
+      await closeSession(stream.publicStreamName, endTime);
+    }
+
+    await RoomHost.deleteMany({ nodeId: node.nodeId });
+    // Guard against the instance coming back between the find and the delete
+    await SfuNode.deleteOne({ nodeId: node.nodeId, lastHeartbeatAt: { $lt: cutoff } });
+    console.warn(`🗺️ [Registry] Node ${node.nodeId} stopped heartbeating; released ${names.length} room(s), ${orphaned.length} stream(s) set offline`);
+  }
+}
+
+async function heartbeat(settings) {
+  await SfuNode.findOneAndUpdate(
+    { nodeId: settings.nodeId },
+    { publicUrl: settings.publicUrl, lastHeartbeatAt: new Date(), $setOnInsert: { startedAt: new Date() } },
+    { upsert: true }
+  );
+  await reapDeadNodes(settings);
+}
+
+/**
+ * Register this instance and start heartbeating (no-op unless CLUSTER_ENABLED=true)
+ */
+async function initializeRoomRegistry() {
+  const settings = getClusterSettings();
+  if (!settings.enabled || heartbeatTimer) return;
+
+  // Rooms claimed by our previous run are gone with its memory
+  const { deletedCount } = await RoomHost.deleteMany({ nodeId: settings.nodeId });
+  if (deletedCount) console.log(`🗺️ [Registry] Dropped ${deletedCount} stale room claim(s) from a previous run`);
+  await SfuNode.updateOne({ nodeId: settings.nodeId }, { startedAt: new Date() });
+
+  await heartbeat(settings);
+  heartbeatTimer = setInterval(() => {
+    heartbeat(settings).catch(e => console.error('🗺️ [Registry] Heartbeat failed:', e));
+  }, settings.heartbeatMs);
+  heartbeatTimer.unref();
+  console.log(`🗺️ [Registry] Node ${settings.nodeId} registered (${settings.publicUrl})`);
+}
+
+/**
+ * Leave the cluster on shutdown: stop heartbeating and drop our claims so other instances
+ * can host the rooms right away instead of waiting for NODE_TIMEOUT_SECONDS
+ */
+async function shutdownRoomRegistry() {
+  const settings = getClusterSettings();
+  if (!settings.enabled || !heartbeatTimer) return;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  await RoomHost.deleteMany({ nodeId: settings.nodeId });
+  await SfuNode.deleteOne({ nodeId: settings.nodeId });
+  console.log(`🗺️ [Registry] Node ${settings.nodeId} left the cluster`);
+}
+
+/**
+ * Where a stream's room is hosted, without claiming it.
+ * Returns { local: true } when unclaimed, ours, or its host is dead; otherwise { local: false, node }.
+ */
+async function findRoomHost(publicStreamName) {
+  const settings = getClusterSettings();
+  if (!settings.enabled) return { local: true };
+
+  const host = await RoomHost.findOne({ publicStreamName }).lean();
+  if (!host || host.nodeId === settings.nodeId) return { local: true };
+  const node = await getLiveNode(host.nodeId, settings);
+  return node ? { local: false, node } : { local: true };
+}
+
+/**
+ * Claim a stream's room for this instance before creating it.
+ * Returns { local: true } if we host it (now or already), or { local: false, node } if a live instance does.
+ */
+async function claimRoom(publicStreamName, attempt = 1) {
+  const settings = getClusterSettings();
+  if (!settings.enabled) return { local: true };
+
+  let host;
+  try {
+    host = await RoomHost.findOneAndUpdate(
+      { publicStreamName },
+      { $setOnInsert: { publicStreamName, nodeId: settings.nodeId, claimedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (e) {
+    // Two instances upserting the same name at once: the loser re-reads the winner's claim
+    if (e.code === 11000 && attempt < 3) return claimRoom(publicStreamName, attempt + 1);
+    throw e;
+  }
+  if (host.nodeId === settings.nodeId) return { local: true };
+
+  const node = await getLiveNode(host.nodeId, settings);
+  if (node) return { local: false, node };
+
+  // The host stopped heartbeating before the reaper got to it: take the room over
+  const taken = await RoomHost.findOneAndUpdate(
+    { publicStreamName, nodeId: host.nodeId },
+    { nodeId: settings.nodeId, claimedAt: new Date() },
+    { new: true }
+  ).lean();
+  if (taken) {
+    console.log(`🗺️ [Registry] Took over room ${publicStreamName} from dead node ${host.nodeId}`);
+    return { local: true };
+  }
+  if (attempt >= 3) throw new Error(`Could not claim room ${publicStreamName}`);
+  return claimRoom(publicStreamName, attempt + 1);
+}
+
+/**
+ * Drop our claim on a room once it's been deleted locally
+ */
+function releaseRoomClaim(publicStreamName) {
+  const settings = getClusterSettings();
+  if (!settings.enabled) return;
+  RoomHost.deleteOne({ publicStreamName, nodeId: settings.nodeId })
+    .catch(e => console.error(`🗺️ [Registry] Failed to release room ${publicStreamName}:`, e));
+}
+
+/**
+ * WebSocket signaling URL of another instance (same query string, so the client can just reconnect)
+ */
+function getSignalingUrl(node, search = '') {
+  return `${node.publicUrl.replace(/^http/, 'ws')}/ws/stream${search}`;
+}
+
+export {
+  initializeRoomRegistry,
+  shutdownRoomRegistry,
+  findRoomHost,
+  claimRoom,
+  releaseRoomClaim,
+  getSignalingUrl,
+};
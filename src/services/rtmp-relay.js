@@ -0,0 +1,188 @@
+/**
+ * RTMP -> SFU relay
+ * Pulls an authorized RTMP ingest with ffmpeg and pushes RTP into PlainTransport producers on the stream's Room,
+ * so WebRTC viewers can watch OBS streams the same way as browser broadcasts
+ */
+
+import { getOrCreateRoom, getRoom } from '../sfu/room-manager.js';
+import { spawnFfmpeg } from '../sfu/ffmpeg.js';
+import { releaseRoomIfIdle } from './broadcasts.js';
+import { stopRecording } from './recordings.js';
+import { stopHlsBridge } from './hls-bridge.js';
+import { claimRoom } from './room-registry.js';
+import { isDraining } from './shutdown.js';
+
+// Fixed SSRCs/payload types shared by the ffmpeg RTP output and the mediasoup producers
+const AUDIO_TRACK = {
+  kind: 'audio',
+  rtpParameters: {
+    codecs: [{ mimeType: 'audio/opus', payloadType: 100, clockRate: 48000, channels: 2, parameters: { 'sprop-stereo': 1 } }],
+    encodings: [{ ssrc: 11111111 }],
+  },
+};
+const VIDEO_TRACK = {
+  kind: 'video',
+  rtpParameters: {
+    // Constrained baseline so every browser can decode it
+    codecs: [{ mimeType: 'video/H264', payloadType: 102, clockRate: 90000, parameters: { 'packetization-mode': 1, 'profile-level-id': '42e01f' } }],
+    encodings: [{ ssrc: 22222222 }],
+  },
+};
+
+// nginx-rtmp only accepts the publish after on_publish returns, so wait before pulling
+const RELAY_START_DELAY_MS = 1500;
+const RELAY_RETRY_DELAY_MS = 2000;
+const RELAY_MAX_ATTEMPTS = 5;
+
+// publicStreamName => { peerId, ffmpeg, attempts, timer, stopped }
+const relays = new Map();
+
+function getRelaySettings() {
+  return {
+    enabled: process.env.RTMP_SFU_RELAY === 'true',
+    // {name} is replaced with the publicStreamName
+    sourceUrl: process.env.RTMP_RELAY_SOURCE_URL || 'rtmp://127.0.0.1/live/{name}',
+  };
+}
+
+function relayArgs(sourceUrl, endpoints) {
+  const audio = endpoints.find(e => e.kind === 'audio');
+  const video = endpoints.find(e => e.kind === 'video');
+  const tee = [
+    `[select=a:f=rtp:ssrc=${AUDIO_TRACK.rtpParameters.encodings[0].ssrc}:payload_type=${AUDIO_TRACK.rtpParameters.codecs[0].payloadType}]rtp://127.0.0.1:${audio.port}?rtcpport=${audio.rtcpPort}`,
+    `[select=v:f=rtp:ssrc=${VIDEO_TRACK.rtpParameters.encodings[0].ssrc}:payload_type=${VIDEO_TRACK.rtpParameters.codecs[0].payloadType}]rtp://127.0.0.1:${video.port}?rtcpport=${video.rtcpPort}`,
+  ].join('|');
+
+  return [
+    '-rw_timeout', '10000000',
+    '-i', sourceUrl,
+    // Audio is required: the audio producer and tee leg always exist (video-only ingests aren't relayed)
+    '-map', '0:a:0', '-c:a', 'libopus', '-ac', '2', '-ar', '48000', '-b:a', '128k',
+    '-map', '0:v:0', '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency',
+    '-profile:v', 'baseline', '-level', '3.1', '-pix_fmt', 'yuv420p', '-bf', '0', '-g', '60',
+    '-f', 'tee', tee,
+  ];
+}
+
+/**
+ * Whether an RTMP relay is running (or starting) for a stream
+ */
+function isRelayActive(publicStreamName) {
+  return relays.has(publicStreamName);
+}
+
+/**
+ * Start relaying an authorized RTMP publish into the SFU (no-op unless RTMP_SFU_RELAY=true)
+ */
+function startRtmpRelay(publicStreamName) {
+  const { enabled } = getRelaySettings();
+  if (!enabled || relays.has(publicStreamName)) return;
+  if (isDraining()) {
+    console.warn(`🔁 [RtmpRelay] Draining, not relaying ${publicStreamName} (RTMP/HLS viewers are unaffected)`);
+    return;
+  }
+
+  const relay = { peerId: `rtmp-${Math.random().toString(36).slice(2, 10)}`, ffmpeg: null, attempts: 0, timer: null, stopped: false };
+  relays.set(publicStreamName, relay);
+  relay.timer = setTimeout(() => runRelay(publicStreamName, relay), RELAY_START_DELAY_MS);
+  console.log(`🔁 [RtmpRelay] Scheduled relay for ${publicStreamName}`);
+}
+
+async function runRelay(publicStreamName, relay) {
+  if (relay.stopped) return;
+  relay.attempts++;
+
+  try {
+    const placement = await claimRoom(publicStreamName);
+    if (!placement.local) {
+      console.warn(`🔁 [RtmpRelay] ${publicStreamName} is hosted on node ${placement.node.nodeId}, not relaying`);
+      relays.delete(publicStreamName);
+      return;
+    }
+    const room = await getOrCreateRoom(publicStreamName);
+    if (relay.stopped) return;
+    if (room.publisher && room.publisher.peerId !== relay.peerId) {
+      console.warn(`🔁 [RtmpRelay] ${publicStreamName} already has a publisher, not relaying`);
+      relays.delete(publicStreamName);
+      return;
+    }
+
+    // Fresh producers on every attempt so SSRC state starts clean
+    if (room.publisher) room.removePublisher();
+    const endpoints = await room.setPlainPublisher(relay.peerId, [AUDIO_TRACK, VIDEO_TRACK]);
+    const sourceUrl = getRelaySettings().sourceUrl.replace('{name}', encodeURIComponent(publicStreamName));
+
+    relay.ffmpeg = spawnFfmpeg(relayArgs(sourceUrl, endpoints), { label: `relay-${publicStreamName}` });
+    let missingAudio = false;
+    relay.ffmpeg.process.stderr.on('data', (data) => {
+      if (/0:a:0.*matches no streams/.test(data)) missingAudio = true;
+    });
+    relay.ffmpeg.exited.then(() => {
+      if (relay.stopped) return;
+      if (missingAudio) {
+        console.warn(`🔁 [RtmpRelay] ${publicStreamName} has no audio track, not relaying (RTMP/HLS viewers are unaffected)`);
+        stopRtmpRelay(publicStreamName).catch(() => {});
+        return;
+      }
+      if (relay.attempts >= RELAY_MAX_ATTEMPTS) {
+        console.error(`🔁 [RtmpRelay] Giving up on ${publicStreamName} after ${relay.attempts} attempts`);
+        stopRtmpRelay(publicStreamName).catch(() => {});
+        return;
+      }
+      console.warn(`🔁 [RtmpRelay] ffmpeg exited for ${publicStreamName}, retrying`);
+      relay.timer = setTimeout(() => runRelay(publicStreamName, relay), RELAY_RETRY_DELAY_MS);
+    });
+    console.log(`🔁 [RtmpRelay] Relaying ${sourceUrl} into room ${publicStreamName}`);
+  } catch (e) {
+    console.error(`🔁 [RtmpRelay] Failed to start relay for ${publicStreamName}:`, e);
+    if (!relay.stopped && relay.attempts < RELAY_MAX_ATTEMPTS) {
+      relay.timer = setTimeout(() => runRelay(publicStreamName, relay), RELAY_RETRY_DELAY_MS);
+    } else {
+      stopRtmpRelay(publicStreamName).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Re-run an active relay against the room's current router (e.g. after its worker died);
+ * returns false if no relay is running for the stream
+ */
+function restartRtmpRelay(publicStreamName) {
+  const relay = relays.get(publicStreamName);
+  if (!relay) return false;
+  relay.attempts = 0;
+  // The exit handler schedules a fresh runRelay; without a process yet, the pending start picks up the new router
+  relay.ffmpeg?.stop();
+  console.log(`🔁 [RtmpRelay] Restarting relay for ${publicStreamName}`);
+  return true;
+}
+
+/**
+ * Stop the relay, finish its recording/HLS, remove its producers and tell viewers the broadcast ended
+ */
+async function stopRtmpRelay(publicStreamName) {
+  const relay = relays.get(publicStreamName);
+  if (!relay) return;
+  relays.delete(publicStreamName);
+  relay.stopped = true;
+  clearTimeout(relay.timer);
+
+  await relay.ffmpeg?.stop();
+
+  const room = getRoom(publicStreamName);
+  if (room && room.publisher?.peerId === relay.peerId) {
+    stopRecording(publicStreamName).catch(e => console.error('🔁 [RtmpRelay] Failed to stop recording:', e));
+    stopHlsBridge(publicStreamName).catch(e => console.error('🔁 [RtmpRelay] Failed to stop HLS bridge:', e));
+    room.removePublisher();
+    room.broadcast({ type: 'publisher-ended' });
+    releaseRoomIfIdle(room);
+  }
+  console.log(`🔁 [RtmpRelay] Relay stopped for ${publicStreamName}`);
+}
+
+export {
+  isRelayActive,
+  startRtmpRelay,
+  restartRtmpRelay,
+  stopRtmpRelay,
+};
@@ -0,0 +1,167 @@
+/**
+ * Drain mode and graceful shutdown
+ * Draining refuses new broadcasts and rooms while existing ones finish (rolling deploys);
+ * SIGTERM/SIGINT drains, tells every peer to reconnect, ends broadcasts and closes everything
+ * within SHUTDOWN_TIMEOUT_SECONDS.
+ */
+
+import mongoose from 'mongoose';
+import { Stream } from '../models/Stream.js';
+import { closeWorkers } from '../sfu/mediasoup-config.js';
+import { getRoom, getAllRooms } from '../sfu/room-manager.js';
+import { endSfuBroadcast, closeRoom } from './broadcasts.js';
+import { isRelayActive, stopRtmpRelay } from './rtmp-relay.js';
+import { shutdownRoomRegistry } from './room-registry.js';
+import { closeOpenVisits } from './viewer-analytics.js';
+import { stopOutboundWebhooks } from './outbound-webhooks.js';
+
+// WebSocket 1001 "going away"
+const SHUTDOWN_CLOSE_CODE = 1001;
+
+let draining = null; // { since, reason } while draining
+let shuttingDown = false;
+
+function getShutdownSettings() {
+  return {
+    timeoutMs: (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 10) * 1000,
+    // Suggested client wait before reconnecting (lets the load balancer drop this instance)
+    reconnectAfterMs: parseInt(process.env.SHUTDOWN_RECONNECT_AFTER_MS) || 3000,
+  };
+}
+
+/**
+ * Whether new broadcasts and rooms are being refused
+ */
+function isDraining() {
+  return draining !== null;
+}
+
+function getDrainStatus() {
+  return {
+    draining: isDraining(),
+    since: draining ? draining.since.toISOString() : null,
+    reason: draining?.reason || null,
+    shuttingDown,
+    rooms: getAllRooms().length,
+    retryAfterMs: getShutdownSettings().reconnectAfterMs,
+  };
+}
+
+/**
+ * Refuse new broadcasts/rooms; existing ones continue until they end
+ */
+function startDrain(reason = 'admin') {
+  if (draining) return getDrainStatus();
+  draining = { since: new Date(), reason };
+  console.warn(`🛑 [Shutdown] Draining (${reason}); ${getAllRooms().length} room(s) still open`);
+  return getDrainStatus();
+}
+
+/**
+ * Leave drain mode (not possible once shutting down)
+ */
+function stopDrain() {
+  if (draining && !shuttingDown) {
+    draining = null;
+    console.log('🛑 [Shutdown] Drain cancelled');
+  }
+  return getDrainStatus();
+}
+
+/**
+ * End every room: tell peers to reconnect elsewhere, mark SFU broadcasts offline, close sockets
+ */
+async function closeAllRooms(reconnectAfterMs) {
+  const names = getAllRooms().map(summary => summary.tokenAddress);
+  for (const name of names) {
+    const room = getRoom(name);
+    if (!room) continue;
+    try {
+      room.broadcast({ type: 'server-shutting-down', reconnect: true, reconnectAfterMs });
+      if (isRelayActive(name)) await stopRtmpRelay(name);
+      if (room.publisher) await endSfuBroadcast(room);
+      for (const ws of room.peers.values()) {
+        try { ws.close(SHUTDOWN_CLOSE_CODE, 'Server shutting down'); } catch {}
+      }
+      closeRoom(room);
+      // The sockets' close handlers find no room any more, so their leaves are recorded here
+      await closeOpenVisits(name);
+    } catch (e) {
+      console.error(`🛑 [Shutdown] Failed to close room ${name}:`, e);
+    }
+  }
+  // Viewers of RTMP streams were counted too
+  if (names.length) {
+    await Stream.updateMany({ publicStreamName: { $in: names } }, { viewerCount: 0 });
+  }
+  return names.length;
+}
+
+async function shutdown({ server, wss, signal }) {
+  const { reconnectAfterMs } = getShutdownSettings();
+  startDrain(`shutdown (${signal})`);
+
+  // No new WebSocket upgrades or HTTP connections; in-flight requests may finish
+  wss?.close();
+  server?.close();
+
+  // Sockets not in a room yet (still authenticating) get the same notice
+  for (const ws of wss?.clients || []) {
+    if (ws.meta) continue;
+    try { ws.send(JSON.stringify({ type: 'server-shutting-down', reconnect: true, reconnectAfterMs })); } catch {}
+    try { ws.close(SHUTDOWN_CLOSE_CODE, 'Server shutting down'); } catch {}
+  }
+
+  const closed = await closeAllRooms(reconnectAfterMs);
+  console.log(`🛑 [Shutdown] Closed ${closed} room(s)`);
+
+  // Make sure stream.ended for the rooms just closed reaches the delivery queue
+  await stopOutboundWebhooks();
+
+  await shutdownRoomRegistry().catch(e => console.error('🛑 [Shutdown] Failed to leave the cluster:', e));
+  closeWorkers();
+  await mongoose.connection.close();
+  console.log('🛑 [Shutdown] MongoDB connection closed');
+}
+
+/**
+ * Install SIGTERM/SIGINT handlers; a second signal (or the timeout) exits immediately
+ */
+function installShutdownHandlers({ server, wss }) {
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      console.warn(`🛑 [Shutdown] ${signal} again, exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    const { timeoutMs } = getShutdownSettings();
+    console.warn(`🛑 [Shutdown] ${signal} received, shutting down (timeout ${timeoutMs / 1000}s)`);
+
+    const timer = setTimeout(() => {
+      console.error('🛑 [Shutdown] Timed out, exiting');
+      process.exit(1);
+    }, timeoutMs);
+    timer.unref();
+
+    shutdown({ server, wss, signal })
+      .then(() => {
+        console.log('🛑 [Shutdown] Done');
+        process.exit(0);
+      })
+      .catch((e) => {
+        console.error('🛑 [Shutdown] Failed:', e);
+        process.exit(1);
+      });
+  };
+
+  process.on('SIGTERM', () => onSignal('SIGTERM'));
+  process.on('SIGINT', () => onSignal('SIGINT'));
+}
+
+export {
+  isDraining,
+  getDrainStatus,
+  startDrain,
+  stopDrain,
+  installShutdownHandlers,
+};
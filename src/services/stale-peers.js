@@ -0,0 +1,46 @@
+/**
+ * Stale peer eviction
+ * A peer whose WebRTC transport stays ICE-disconnected or DTLS-failed past TRANSPORT_STALE_TIMEOUT_SECONDS
+ * is removed for good, so it stops counting as a viewer (or holding the publisher slot).
+ */
+
+import { onTransportStale } from '../sfu/mediasoup-config.js';
+import { getRoom } from '../sfu/room-manager.js';
+import { revokeResumeToken } from './reconnect-grace.js';
+
+// Close code for sockets whose media transport timed out (distinct from 1008 policy closes)
+const STALE_TRANSPORT_CLOSE_CODE = 4408;
+
+function evictStalePeer(transport, reason) {
+  const { tokenAddress, peerId, role } = transport.appData;
+  const room = tokenAddress ? getRoom(tokenAddress) : null;
+  if (!room) return;
+
+  // Only the peer's current transport matters (it may have set up a new one since)
+  const current = role === 'publisher'
+    ? room.publisher?.peerId === peerId && room.publisher.producerTransport
+    : room.viewers.get(peerId)?.consumerTransport;
+  if (current !== transport) return;
+
+  console.warn(`🧹 [StalePeers] Evicting ${role} ${peerId} from ${tokenAddress} (${reason})`);
+
+  const ws = room.peers.get(peerId);
+  if (ws) {
+    // The socket close handler ends the broadcast / removes the viewer and updates counts
+    revokeResumeToken(ws);
+    try { ws.send(JSON.stringify({ type: 'evicted', reason })); } catch {}
+    try { ws.close(STALE_TRANSPORT_CLOSE_CODE, 'Media transport timed out'); } catch {}
+  } else {
+    // WHIP/WHEP sessions end with their transport
+    transport.close();
+  }
+}
+
+/**
+ * Start evicting peers with stale transports (call once after initializeWorkers)
+ */
+function initializeStalePeerEviction() {
+  onTransportStale(evictStalePeer);
+}
+
+export { initializeStalePeerEviction };
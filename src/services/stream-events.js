@@ -0,0 +1,105 @@
+/**
+ * Stream status events for the SSE feeds
+ * live, offline, viewer-count and title-changed are published wherever the Stream document changes
+ * and kept in a short in-memory log so reconnecting clients can resume from Last-Event-ID.
+ */
+
+import { EventEmitter } from 'events';
+
+const EVENT_LOG_SIZE = 1000;
+// Viewer counts change on every join/leave; a busy room publishes at most one per interval (latest value wins)
+const VIEWER_COUNT_INTERVAL_MS = 1000;
+
+// Ids are unique per process run, so an id from before a restart is never mistaken for a current one
+const runId = Date.now().toString(36);
+let sequence = 0;
+
+const eventLog = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const pendingViewerCounts = new Map(); // publicStreamName => { viewerCount, published, timer }
+
+function clearPendingViewerCount(publicStreamName) {
+  const pending = pendingViewerCounts.get(publicStreamName);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingViewerCounts.delete(publicStreamName);
+}
+
+/**
+ * Publish one event: { id, type, publicStreamName, data } with data = { publicStreamName, ...data }
+ */
+function publishStreamEvent(type, publicStreamName, data = {}) {
+  // A live/offline transition makes any throttled count stale
+  if (type !== 'viewer-count') clearPendingViewerCount(publicStreamName);
+
+  const event = {
+    id: `${runId}-${++sequence}`,
+    type,
+    publicStreamName,
+    data: { publicStreamName, ...data },
+  };
+  eventLog.push(event);
+  if (eventLog.length > EVENT_LOG_SIZE) eventLog.shift();
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Publish a viewer-count event, throttled per stream to one per VIEWER_COUNT_INTERVAL_MS
+ */
+function publishViewerCount(publicStreamName, viewerCount) {
+  const pending = pendingViewerCounts.get(publicStreamName);
+  if (pending) {
+    pending.viewerCount = viewerCount;
+    return;
+  }
+
+  publishStreamEvent('viewer-count', publicStreamName, { viewerCount });
+  const entry = { viewerCount, published: viewerCount, timer: null };
+  entry.timer = setTimeout(() => {
+    pendingViewerCounts.delete(publicStreamName);
+    if (entry.viewerCount !== entry.published) publishViewerCount(publicStreamName, entry.viewerCount);
+  }, VIEWER_COUNT_INTERVAL_MS);
+  entry.timer.unref();
+  pendingViewerCounts.set(publicStreamName, entry);
+}
+
+/**
+ * Events published after lastEventId (optionally for one stream); a null id (from getLatestEventId on
+ * an empty log) means every logged event.
+ * Null when the id is unknown (too old, or from before a restart): the caller has to resync.
+ */
+function getEventsSince(lastEventId, publicStreamName = null) {
+  const index = lastEventId === null ? -1 : eventLog.findIndex(event => event.id === lastEventId);
+  if (index === -1 && lastEventId !== null) return null;
+  return eventLog
+    .slice(index + 1)
+    .filter(event => !publicStreamName || event.publicStreamName === publicStreamName);
+}
+
+/**
+ * Id of the newest event, for clients that start from a snapshot
+ */
+function getLatestEventId() {
+  return eventLog.length ? eventLog[eventLog.length - 1].id : null;
+}
+
+/**
+ * Call listener with every new event (optionally for one stream); returns the unsubscribe function
+ */
+function subscribeStreamEvents(listener, publicStreamName = null) {
+  const handler = (event) => {
+    if (!publicStreamName || event.publicStreamName === publicStreamName) listener(event);
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+}
+
+export {
+  publishStreamEvent,
+  publishViewerCount,
+  getEventsSince,
+  getLatestEventId,
+  subscribeStreamEvents,
+};
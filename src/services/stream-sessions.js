@@ -0,0 +1,106 @@
+/**
+ * Stream session tracking
+ * Opens/closes a StreamSession per broadcast and keeps viewer stats up to date
+ */
+
+import { StreamSession } from '../models/StreamSession.js';
+
+// Adds lastViewerCount * seconds since lastViewerChangeAt to viewerSeconds (aggregation pipeline update)
+function accumulateViewerSeconds(now) {
+  return {
+    $add: [
+      '$viewerSeconds',
+      {
+        $multiply: [
+          '$lastViewerCount',
+          { $divide: [{ $subtract: [now, { $ifNull: ['$lastViewerChangeAt', now] }] }, 1000] },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Close the open session(s) for a stream, finalizing duration and average viewers
+ */
+async function closeSession(publicStreamName, endTime = new Date()) {
+  const result = await StreamSession.updateMany(
+    { publicStreamName, endTime: null },
+    [
+      { $set: { viewerSeconds: accumulateViewerSeconds(endTime), endTime } },
+      {
+        $set: {
+          durationSeconds: { $divide: [{ $subtract: [endTime, '$startTime'] }, 1000] },
+          lastViewerCount: 0,
+          lastViewerChangeAt: endTime,
+        },
+      },
+      {
+        $set: {
+          avgViewers: {
+            $cond: [{ $gt: ['$durationSeconds', 0] }, { $divide: ['$viewerSeconds', '$durationSeconds'] }, 0],
+          },
+        },
+      },
+    ]
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`📼 [Sessions] Session closed: ${publicStreamName}`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Open a new session for a stream that just went live.
+ * Any session left open (e.g. missed publish_done) is closed first.
+ */
+async function openSession(stream, ingestType, { startTime = new Date(), viewerCount = 0 } = {}) {
+  await closeSession(stream.publicStreamName, startTime);
+
+  const session = await StreamSession.create({
+    streamId: stream._id,
+    publicStreamName: stream.publicStreamName,
+    userId: stream.userId,
+    ingestType,
+    startTime,
+    peakViewers: viewerCount,
+    lastViewerCount: viewerCount,
+    lastViewerChangeAt: startTime,
+  });
+  console.log(`📼 [Sessions] Session opened: ${stream.publicStreamName} (${ingestType}, id: ${session._id})`);
+  return session;
+}
+
+/**
+ * Record a viewer count change on the open session
+ */
+async function recordViewerCount(publicStreamName, count) {
+  const now = new Date();
+  await StreamSession.updateOne(
+    { publicStreamName, endTime: null },
+    [
+      {
+        $set: {
+          viewerSeconds: accumulateViewerSeconds(now),
+          peakViewers: { $max: ['$peakViewers', count] },
+          lastViewerCount: count,
+          lastViewerChangeAt: now,
+        },
+      },
+    ]
+  );
+}
+
+/**
+ * Get the currently open session for a stream, if any
+ */
+function getOpenSession(publicStreamName) {
+  return StreamSession.findOne({ publicStreamName, endTime: null }).sort({ startTime: -1 });
+}
+
+export {
+  openSession,
+  closeSession,
+  recordViewerCount,
+  getOpenSession,
+};
@@ -0,0 +1,162 @@
+/**
+ * Viewer analytics
+ * Records viewer joins/leaves and aggregates them per stream session
+ */
+
+import { ViewerVisit } from '../models/ViewerVisit.js';
+import { StreamSession } from '../models/StreamSession.js';
+
+const MAX_SERIES_POINTS = 2000;
+
+/**
+ * Record a viewer joining (consumer transport created)
+ */
+async function recordViewerJoin(publicStreamName, peerId, userAddress) {
+  await ViewerVisit.create({
+    publicStreamName,
+    peerId,
+    userAddress: userAddress || null,
+    joinedAt: new Date(),
+  });
+}
+
+/**
+ * Record a viewer leaving; no-op if the peer never joined
+ */
+async function recordViewerLeave(publicStreamName, peerId) {
+  const leftAt = new Date();
+  await ViewerVisit.updateOne(
+    { publicStreamName, peerId, leftAt: null },
+    [
+      {
+        $set: {
+          leftAt,
+          watchSeconds: { $divide: [{ $subtract: [leftAt, '$joinedAt'] }, 1000] },
+        },
+      },
+    ]
+  );
+}
+
+/**
+ * Close every visit still open for a stream (e.g. after a crash), as of leftAt
+ */
+async function closeOpenVisits(publicStreamName, leftAt = new Date()) {
+  const result = await ViewerVisit.updateMany(
+    { publicStreamName, leftAt: null },
+    [
+      {
+        $set: {
+          leftAt: { $max: [leftAt, '$joinedAt'] },
+          watchSeconds: { $max: [0, { $divide: [{ $subtract: [leftAt, '$joinedAt'] }, 1000] }] },
+        },
+      },
+    ]
+  );
+  return result.modifiedCount;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Build a viewer-count time series sampled every intervalSeconds from visit intervals
+ */
+function buildTimeSeries(intervals, start, end, intervalSeconds) {
+  // Sweep +1/-1 events in time order
+  const events = [];
+  for (const { from, to } of intervals) {
+    events.push([from, 1]);
+    events.push([to, -1]);
+  }
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const series = [];
+  const step = intervalSeconds * 1000;
+  let count = 0;
+  let i = 0;
+  for (let t = start; t <= end; t += step) {
+    while (i < events.length && events[i][0] <= t) {
+      count += events[i][1];
+      i++;
+    }
+    series.push({ t: new Date(t), viewers: count });
+  }
+  return series;
+}
+
+/**
+ * Aggregate viewer metrics for a StreamSession.
+ * Visits are clipped to the session window; visits without a recorded leave end at the window end
+ * (the session's endTime, or now while it is live). An open visit that joined before an earlier
+ * session ended is bounded by that session (its leave was lost, e.g. in a crash) and left out.
+ */
+async function getSessionAnalytics(session, { intervalSeconds = 60 } = {}) {
+  const start = session.startTime.getTime();
+  const end = (session.endTime || new Date()).getTime();
+  // Cap the series at MAX_SERIES_POINTS samples
+  intervalSeconds = Math.max(intervalSeconds, Math.ceil((end - start) / 1000 / MAX_SERIES_POINTS));
+
+  const previous = await StreamSession.findOne({
+    publicStreamName: session.publicStreamName,
+    endTime: { $ne: null, $lte: session.startTime },
+  }).sort({ endTime: -1 }).select('endTime').lean();
+
+  const visits = await ViewerVisit.find({
+    publicStreamName: session.publicStreamName,
+    joinedAt: { $lte: new Date(end) },
+    $or: [
+      { leftAt: null, ...(previous ? { joinedAt: { $gt: previous.endTime } } : {}) },
+      { leftAt: { $gte: new Date(start) } },
+    ],
+  }).lean();
+
+  const intervals = visits.map(v => ({
+    peerId: v.peerId,
+    userAddress: v.userAddress,
+    from: Math.max(v.joinedAt.getTime(), start),
+    to: Math.min(v.leftAt ? v.leftAt.getTime() : end, end),
+  }));
+
+  // Identified viewers are deduplicated by address; anonymous ones count once per connection
+  const addresses = new Set(intervals.filter(v => v.userAddress).map(v => v.userAddress));
+  const anonymousViewers = intervals.filter(v => !v.userAddress).length;
+
+  // Watch time per viewer (identified viewers summed across reconnects)
+  const watchByViewer = new Map();
+  for (const v of intervals) {
+    const key = v.userAddress || `peer:${v.peerId}`;
+    watchByViewer.set(key, (watchByViewer.get(key) || 0) + (v.to - v.from) / 1000);
+  }
+  const watchTimes = Array.from(watchByViewer.values());
+  const totalWatchSeconds = watchTimes.reduce((sum, s) => sum + s, 0);
+
+  return {
+    sessionId: session._id,
+    publicStreamName: session.publicStreamName,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    totalJoins: intervals.length,
+    uniqueViewers: addresses.size + anonymousViewers,
+    identifiedViewers: addresses.size,
+    anonymousViewers,
+    peakViewers: session.peakViewers,
+    avgViewers: session.avgViewers,
+    totalWatchSeconds,
+    avgWatchSeconds: watchTimes.length ? totalWatchSeconds / watchTimes.length : 0,
+    medianWatchSeconds: median(watchTimes),
+    intervalSeconds,
+    timeSeries: buildTimeSeries(intervals, start, end, intervalSeconds),
+  };
+}
+
+export {
+  recordViewerJoin,
+  recordViewerLeave,
+  closeOpenVisits,
+  getSessionAnalytics,
+};
@@ -0,0 +1,268 @@
+/**
+ * WHIP (publish) and WHEP (playback) sessions
+ * Each session is an HTTP resource backed by one WebRTC transport in the stream's Room,
+ * so WHIP publishers and WHEP players share rooms with the WebSocket signaling clients.
+ */
+
+import crypto from 'crypto';
+import { getOrCreateRoom, getRoom } from '../sfu/room-manager.js';
+import {
+  parseSdp,
+  getRemoteDtlsParameters,
+  getRemoteIceUfrag,
+  parseIceFragment,
+  negotiatePublishTracks,
+  negotiatePlaybackTracks,
+  buildAnswer,
+  buildIceFragment,
+} from '../sfu/sdp.js';
+import { startSfuBroadcast, endSfuBroadcast, viewerJoined, viewerLeft, releaseRoomIfIdle } from './broadcasts.js';
+import { isRecording, scheduleAutoRecording } from './recordings.js';
+import { startHlsBridge, shouldFallbackToHls, ensureHlsBridge, scheduleHlsBridge } from './hls-bridge.js';
+import { findRoomHost, claimRoom } from './room-registry.js';
+import { isDraining } from './shutdown.js';
+import { isRoomFull } from './rate-limits.js';
+
+// resourceId => { id, kind: 'whip' | 'whep', room, peerId, userAddress, transport, bundle, remoteIceUfrag, etag }
+const sessions = new Map();
+
+/**
+ * Parse the offer and the DTLS parameters we need from it; null if unusable
+ */
+function readOffer(offerSdp) {
+  const offer = parseSdp(offerSdp);
+  const dtlsParameters = offer && getRemoteDtlsParameters(offer);
+  return dtlsParameters ? { offer, dtlsParameters } : null;
+}
+
+function registerSession({ kind, room, peerId, userAddress = null, transport, offer, tracks }) {
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    kind,
+    room,
+    peerId,
+    userAddress,
+    transport,
+    bundle: offer.media.filter((_, i) => tracks[i]).map(m => ({ mid: m.mid, type: m.type })),
+    remoteIceUfrag: getRemoteIceUfrag(offer),
+    etag: transport.iceParameters.usernameFragment,
+  };
+  sessions.set(session.id, session);
+
+  // Transport gone (DTLS failure, room/router closed) => the resource is gone too
+  transport.on('dtlsstatechange', (dtlsState) => {
+    if (dtlsState === 'failed' || dtlsState === 'closed') {
+      endSession(session).catch(e => console.error(`🌐 [WHIP/WHEP] Failed to end session ${session.id}:`, e));
+    }
+  });
+  transport.observer.on('close', () => {
+    endSession(session).catch(e => console.error(`🌐 [WHIP/WHEP] Failed to end session ${session.id}:`, e));
+  });
+
+  console.log(`🌐 [WHIP/WHEP] ${kind.toUpperCase()} session started: ${session.id} (${room.tokenAddress})`);
+  return session;
+}
+
+/**
+ * Publish to a stream from a WHIP offer (`userAddress` is the authenticated owner).
+ * Returns { session, answer } or { status, error, node? } when the request can't be served
+ * (`node` is the instance hosting the room in a multi-instance deployment).
+ */
+async function startWhipSession(tokenAddress, offerSdp, { userAddress = null } = {}) {
+  const parsed = readOffer(offerSdp);
+  if (!parsed) return { status: 400, error: 'Invalid SDP offer' };
+  const { offer, dtlsParameters } = parsed;
+
+  // Before claiming, so a refused publish leaves no registry claim behind
+  if (isDraining()) {
+    return { status: 503, error: 'Server is draining' };
+  }
+  const placement = await claimRoom(tokenAddress);
+  if (!placement.local) {
+    return { status: 307, error: 'Stream is hosted on another node', node: placement.node };
+  }
+
+  const room = await getOrCreateRoom(tokenAddress);
+  // No await until setPublisher has claimed the slot, so a concurrent WebSocket publisher can't slip in
+  if (room.publisher) {
+    return { status: 409, error: 'Stream already has a publisher' };
+  }
+
+  const tracks = negotiatePublishTracks(offer, room.getRouterRtpCapabilities());
+  if (!tracks.some(Boolean)) {
+    releaseRoomIfIdle(room);
+    return { status: 400, error: 'Offer has no supported audio/video codecs' };
+  }
+
+  const peerId = `whip-${crypto.randomUUID()}`;
+  const transportParams = await room.setPublisher(peerId, null);
+  const { producerTransport } = room.publisher;
+  try {
+    await room.connectProducerTransport(dtlsParameters);
+    await startSfuBroadcast(room);
+    for (const track of tracks) {
+      if (track) await room.produce(track.kind, track.rtpParameters);
+    }
+  } catch (e) {
+    await endSfuBroadcast(room);
+    throw e;
+  }
+
+  if (room.autoRecord && !isRecording(tokenAddress)) {
+    scheduleAutoRecording(room, {});
+  }
+  scheduleHlsBridge(room);
+
+  const session = registerSession({ kind: 'whip', room, peerId, userAddress, transport: producerTransport, offer, tracks });
+  const answer = buildAnswer(offer, transportParams, tracks.map(track => track && {
+    direction: 'recvonly',
+    rtpParameters: track.rtpParameters,
+  }));
+  return { session, answer };
+}
+
+/**
+ * Play a live stream from a WHEP offer.
+ * Returns { session, answer } or { status, error, hlsUrl?, node? } when the request can't be served.
+ */
+async function startWhepSession(tokenAddress, offerSdp, { userAddress = null } = {}) {
+  const parsed = readOffer(offerSdp);
+  if (!parsed) return { status: 400, error: 'Invalid SDP offer' };
+  const { offer, dtlsParameters } = parsed;
+
+  const placement = await findRoomHost(tokenAddress);
+  if (!placement.local) {
+    return { status: 307, error: 'Stream is hosted on another node', node: placement.node };
+  }
+
+  const room = getRoom(tokenAddress);
+  if (!room || !room.hasPublisher()) {
+    return { status: 409, error: 'Stream is not live' };
+  }
+  if (isRoomFull(room)) {
+    return { status: 503, error: 'Room is full' };
+  }
+
+  // Over the WebRTC viewer cap: point the player at the HLS bridge instead
+  if (shouldFallbackToHls(room)) {
+    const hlsUrl = await startHlsBridge(room);
+    return { status: 503, error: 'Room is full', hlsUrl };
+  }
+
+  const tracks = negotiatePlaybackTracks(offer, room.getProducers(), room.getRouterRtpCapabilities());
+  if (!tracks.some(Boolean)) {
+    return { status: 400, error: 'Offer has no codecs matching the live stream' };
+  }
+
+  const router = await room.getRenditionRouter(tracks.filter(Boolean).map(track => track.codec));
+  const peerId = `whep-${crypto.randomUUID()}`;
+  const transportParams = await room.addViewer(peerId, null, { router });
+  const { consumerTransport } = room.viewers.get(peerId);
+
+  const sending = [];
+  try {
+    await room.connectConsumerTransport(peerId, dtlsParameters);
+    for (const track of tracks) {
+      if (!track) {
+        sending.push(null);
+        continue;
+      }
+      const consumer = await room.consume(peerId, track.producer.id, track.rtpCapabilities, { mid: track.mid });
+      await room.resumeConsumer(peerId, consumer.id);
+      sending.push({ direction: 'sendonly', rtpParameters: consumer.rtpParameters, streamId: peerId, trackId: consumer.id });
+    }
+  } catch (e) {
+    room.removeViewer(peerId);
+    releaseRoomIfIdle(room);
+    throw e;
+  }
+
+  ensureHlsBridge(room);
+  await viewerJoined(room, peerId, userAddress);
+
+  const session = registerSession({ kind: 'whep', room, peerId, userAddress, transport: consumerTransport, offer, tracks });
+  return { session, answer: buildAnswer(offer, transportParams, sending) };
+}
+
+/**
+ * Look up a live session resource of the given kind
+ */
+function getSession(id, kind) {
+  const session = sessions.get(id);
+  return session && session.kind === kind ? session : null;
+}
+
+/**
+ * Tear down a session: WHIP ends the broadcast, WHEP removes the viewer
+ */
+async function endSession(session) {
+  if (!sessions.delete(session.id)) return;
+  const { room, peerId } = session;
+  console.log(`🌐 [WHIP/WHEP] ${session.kind.toUpperCase()} session ended: ${session.id} (${room.tokenAddress})`);
+
+  if (session.kind === 'whip') {
+    if (room.publisher?.peerId === peerId) await endSfuBroadcast(room);
+  } else {
+    await viewerLeft(room, peerId);
+  }
+}
+
+/**
+ * Apply a trickle-ice-sdpfrag PATCH.
+ * Our side is ice-lite, so trickled candidates need no action; a new ufrag means an ICE restart.
+ * Returns { fragment: null } (nothing to send back), { fragment, etag } or { status, error }.
+ */
+async function updateSessionIce(session, fragmentText) {
+  const fragment = parseIceFragment(fragmentText);
+  if (!fragment) return { status: 400, error: 'Invalid trickle-ice-sdpfrag' };
+
+  if (!fragment.iceUfrag || fragment.iceUfrag === session.remoteIceUfrag) {
+    return { fragment: null };
+  }
+
+  const iceParameters = await session.transport.restartIce();
+  session.remoteIceUfrag = fragment.iceUfrag;
+  session.etag = iceParameters.usernameFragment;
+  console.log(`🌐 [WHIP/WHEP] ICE restart for session ${session.id}`);
+
+  return {
+    fragment: buildIceFragment(session.bundle, { iceParameters, iceCandidates: session.transport.iceCandidates }),
+    etag: session.etag,
+  };
+}
+
+/**
+ * End the WHIP session publishing to a stream, if any (e.g. stream disabled)
+ */
+async function closeWhipSession(tokenAddress) {
+  for (const session of sessions.values()) {
+    if (session.kind === 'whip' && session.room.tokenAddress === tokenAddress) {
+      await endSession(session);
+    }
+  }
+}
+
+/**
+ * End every WHEP session of a (banned) address on a stream; returns the peerIds removed
+ */
+function closeWhepSessionsFor(tokenAddress, userAddress) {
+  const address = (userAddress || '').toLowerCase();
+  const peerIds = [];
+  for (const session of sessions.values()) {
+    if (session.kind !== 'whep' || session.room.tokenAddress !== tokenAddress) continue;
+    if (!session.userAddress || session.userAddress.toLowerCase() !== address) continue;
+    peerIds.push(session.peerId);
+    endSession(session).catch(e => console.error(`🌐 [WHIP/WHEP] Failed to end session ${session.id}:`, e));
+  }
+  return peerIds;
+}
+
+export {
+  startWhipSession,
+  startWhepSession,
+  getSession,
+  endSession,
+  updateSessionIce,
+  closeWhipSession,
+  closeWhepSessionsFor,
+};
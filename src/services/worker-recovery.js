@@ -0,0 +1,98 @@
+/**
+ * Room recovery after a mediasoup worker dies
+ * Moves affected rooms to healthy workers and tells clients to redo their transport setup.
+ */
+
+import { onWorkerDied } from '../sfu/mediasoup-config.js';
+import { getRoom, getRoomsOnWorker } from '../sfu/room-manager.js';
+import { endSfuBroadcast, viewerLeft, closeRoom } from './broadcasts.js';
+import { stopRecording } from './recordings.js';
+import { stopHlsBridge } from './hls-bridge.js';
+import { isRelayActive, restartRtmpRelay, stopRtmpRelay } from './rtmp-relay.js';
+
+// A single-worker setup has to wait for the replacement worker (spawned ~2 s after the death)
+const RECOVERY_MAX_ATTEMPTS = 5;
+const RECOVERY_RETRY_DELAY_MS = 2500;
+
+function send(ws, message) {
+  if (ws?.readyState !== 1) return;
+  try { ws.send(JSON.stringify(message)); } catch {}
+}
+
+/**
+ * Move one room off the dead worker and notify its clients
+ */
+async function recoverRoom(room, worker) {
+  const { tokenAddress } = room;
+  const { routerMoved, strandedViewers } = await room.recoverFromWorkerDeath(worker);
+
+  if (routerMoved) {
+    // Their PlainTransports were on the old router; HLS restarts when the publisher produces again
+    stopRecording(tokenAddress).catch(e => console.error('🩺 [Recovery] Failed to stop recording:', e));
+    stopHlsBridge(tokenAddress).catch(e => console.error('🩺 [Recovery] Failed to stop HLS bridge:', e));
+
+    room.broadcast({ type: 'room-migrated', rtpCapabilities: room.getRouterRtpCapabilities() });
+
+    const publisher = room.publisher;
+    if (publisher?.ws) {
+      send(publisher.ws, { type: 'reconnect-required', role: 'publisher', reason: 'worker-died' });
+    } else if (publisher && isRelayActive(tokenAddress)) {
+      restartRtmpRelay(tokenAddress);
+    }
+  }
+
+  // WHEP viewers (no socket) are ended by their sessions when the transport closes
+  for (const peerId of strandedViewers) {
+    const ws = room.peers.get(peerId);
+    if (!ws) continue;
+    await viewerLeft(room, peerId);
+    send(ws, { type: 'reconnect-required', role: 'viewer', reason: 'worker-died' });
+  }
+
+  console.log(`🩺 [Recovery] Room ${tokenAddress} recovered (router moved: ${routerMoved}, viewers to reconnect: ${strandedViewers.length})`);
+}
+
+/**
+ * Out of workers for too long: end the broadcast and close the room
+ */
+async function abandonRoom(room) {
+  console.error(`🩺 [Recovery] Giving up on room ${room.tokenAddress}`);
+  room.broadcast({ type: 'reconnect-required', reason: 'worker-died' });
+  // An RTMP ingest is still live on nginx (RTMP/HLS viewers are unaffected): only the relay goes
+  if (isRelayActive(room.tokenAddress)) await stopRtmpRelay(room.tokenAddress);
+  else if (room.publisher) await endSfuBroadcast(room);
+  closeRoom(room);
+}
+
+async function recoverRoomWithRetry(room, worker) {
+  for (let attempt = 1; ; attempt++) {
+    if (getRoom(room.tokenAddress) !== room) return;
+    try {
+      await recoverRoom(room, worker);
+      return;
+    } catch (e) {
+      console.error(`🩺 [Recovery] Attempt ${attempt} for room ${room.tokenAddress} failed:`, e.message);
+      if (attempt >= RECOVERY_MAX_ATTEMPTS) {
+        await abandonRoom(room);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, RECOVERY_RETRY_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Start handling worker deaths (call once after initializeWorkers)
+ */
+function initializeWorkerRecovery() {
+  onWorkerDied((worker) => {
+    const affected = getRoomsOnWorker(worker);
+    console.warn(`🩺 [Recovery] Worker ${worker.pid} died; recovering ${affected.length} room(s)`);
+    for (const room of affected) {
+      recoverRoomWithRetry(room, worker)
+        .catch(e => console.error(`🩺 [Recovery] Failed to recover room ${room.tokenAddress}:`, e));
+    }
+  });
+}
+
+export { initializeWorkerRecovery };
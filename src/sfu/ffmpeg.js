@@ -0,0 +1,61 @@
+/**
+ * ffmpeg process helper
+ * Spawns ffmpeg with optional stdin input and stops it gracefully
+ */
+
+import { spawn } from 'child_process';
+
+const FFMPEG_STOP_TIMEOUT_MS = 5000;
+
+/**
+ * Spawn ffmpeg. `input` (e.g. an SDP description) is written to stdin when given.
+ * Returns { process, exited: Promise<{ code, signal }>, stop(): Promise }
+ */
+function spawnFfmpeg(args, { label = 'ffmpeg', input } = {}) {
+  const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+  const child = spawn(ffmpegPath, ['-hide_banner', '-loglevel', process.env.FFMPEG_LOG_LEVEL || 'error', ...args], {
+    stdio: ['pipe', 'ignore', 'pipe'],
+  });
+
+  console.log(`🎞️ [ffmpeg ${label}] Started (pid: ${child.pid})`);
+
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (data) => {
+    for (const line of data.split('\n')) {
+      if (line.trim()) console.log(`🎞️ [ffmpeg ${label}] ${line}`);
+    }
+  });
+
+  const exited = new Promise((resolve) => {
+    child.once('error', (e) => {
+      console.error(`🎞️ [ffmpeg ${label}] Failed to run:`, e.message);
+      resolve({ code: null, signal: null, error: e });
+    });
+    child.once('exit', (code, signal) => {
+      console.log(`🎞️ [ffmpeg ${label}] Exited (code: ${code}, signal: ${signal})`);
+      resolve({ code, signal });
+    });
+  });
+
+  child.stdin.on('error', () => {});
+  if (input) child.stdin.write(input);
+  child.stdin.end();
+
+  return {
+    process: child,
+    exited,
+    /**
+     * SIGINT lets ffmpeg finalize the output; SIGKILL if it doesn't exit in time
+     */
+    async stop() {
+      if (child.exitCode !== null || child.signalCode !== null) return exited;
+      child.kill('SIGINT');
+      const timer = setTimeout(() => child.kill('SIGKILL'), FFMPEG_STOP_TIMEOUT_MS);
+      const result = await exited;
+      clearTimeout(timer);
+      return result;
+    },
+  };
+}
+
+export { spawnFfmpeg };
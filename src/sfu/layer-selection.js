@@ -0,0 +1,116 @@
+/**
+ * Simulcast/SVC layer selection
+ * Viewers either pin a consumer's layers (manual) or let the room pick them from the
+ * viewer transport's available outgoing bitrate and the consumer's delivery score (auto).
+ */
+
+import mediasoup from 'mediasoup';
+
+// How often auto-mode consumers are re-evaluated
+const LAYER_CHECK_INTERVAL_MS = 5000;
+// Only pick a layer that fits in this share of the estimated bandwidth
+const BITRATE_HEADROOM = 0.85;
+// Consumer score (0-10) below which we step down a spatial layer regardless of bandwidth
+const LOW_SCORE = 5;
+
+/**
+ * Spatial/temporal layer counts of a producer's or consumer's RTP parameters
+ * (simulcast: one spatial layer per encoding; SVC: from the scalability mode)
+ */
+function getLayerInfo(rtpParameters) {
+  const encodings = rtpParameters.encodings || [];
+  const { spatialLayers, temporalLayers } = mediasoup.parseScalabilityMode(encodings[0]?.scalabilityMode);
+  return {
+    spatialLayers: encodings.length > 1 ? encodings.length : spatialLayers,
+    temporalLayers,
+  };
+}
+
+// Current receive bitrate per spatial layer; SVC layers are estimated (each step down quarters the pixels)
+async function getSpatialBitrates(producer, spatialLayers) {
+  const stats = await producer.getStats();
+  const { encodings } = producer.rtpParameters;
+  if (encodings.length > 1) {
+    return encodings.map(encoding => stats.find(s =>
+      (encoding.rid && s.rid === encoding.rid) || (encoding.ssrc && s.ssrc === encoding.ssrc)
+    )?.bitrate || 0);
+  }
+  const total = stats[0]?.bitrate || 0;
+  return Array.from({ length: spatialLayers }, (_, layer) => total / 4 ** (spatialLayers - 1 - layer));
+}
+
+/**
+ * Highest layers whose bitrate fits the available bandwidth, one spatial layer lower on a poor score
+ */
+function selectLayers({ bitrates, temporalLayers, availableBitrate, score, currentSpatialLayer }) {
+  const budget = availableBitrate * BITRATE_HEADROOM;
+  let spatialLayer = 0;
+  for (let layer = bitrates.length - 1; layer >= 0; layer--) {
+    // A zero bitrate means the publisher isn't sending that layer right now
+    if (bitrates[layer] > 0 && bitrates[layer] <= budget) {
+      spatialLayer = layer;
+      break;
+    }
+  }
+  if (score < LOW_SCORE && typeof currentSpatialLayer === 'number') {
+    spatialLayer = Math.min(spatialLayer, Math.max(currentSpatialLayer - 1, 0));
+  }
+  // Not even the lowest layer fits: drop to the base temporal layer too
+  const temporalLayer = bitrates[0] > budget ? 0 : temporalLayers - 1;
+  return { spatialLayer, temporalLayer };
+}
+
+/**
+ * One auto-selection pass over every viewer in a room
+ */
+async function adjustRoomLayers(room) {
+  const bitrateCache = new Map(); // producerId => spatial bitrates (shared by all viewers this pass)
+
+  for (const [peerId, viewer] of room.viewers) {
+    const consumers = Array.from(viewer.consumers.values()).filter(consumer =>
+      consumer.type !== 'simple' && !consumer.closed && consumer.appData.layerMode !== 'manual'
+    );
+    if (consumers.length === 0) continue;
+
+    try {
+      const [transportStats] = await viewer.consumerTransport.getStats();
+      const availableBitrate = transportStats?.availableOutgoingBitrate;
+      if (!availableBitrate) continue;
+
+      for (const consumer of consumers) {
+        const producer = room.getProducers().find(p => p.id === consumer.producerId);
+        if (!producer) continue;
+
+        const { spatialLayers, temporalLayers } = getLayerInfo(consumer.rtpParameters);
+        if (!bitrateCache.has(producer.id)) {
+          bitrateCache.set(producer.id, await getSpatialBitrates(producer, spatialLayers));
+        }
+
+        const bitrates = bitrateCache.get(producer.id);
+        if (!bitrates.some(bitrate => bitrate > 0)) continue;
+
+        const layers = selectLayers({
+          bitrates,
+          temporalLayers,
+          availableBitrate,
+          score: consumer.score?.score ?? 10,
+          currentSpatialLayer: consumer.currentLayers?.spatialLayer,
+        });
+        const preferred = consumer.preferredLayers;
+        if (preferred?.spatialLayer === layers.spatialLayer && preferred?.temporalLayer === layers.temporalLayer) continue;
+
+        await consumer.setPreferredLayers(layers);
+        console.log(`🎬 [Room ${room.tokenAddress}] Auto layers for ${peerId}: S${layers.spatialLayer}T${layers.temporalLayer} (${Math.round(availableBitrate / 1000)} kbps available)`);
+      }
+    } catch (e) {
+      // Viewer or transport went away mid-pass
+      console.warn(`🎬 [Room ${room.tokenAddress}] Layer selection skipped for ${peerId}:`, e.message);
+    }
+  }
+}
+
+export {
+  LAYER_CHECK_INTERVAL_MS,
+  getLayerInfo,
+  adjustRoomLayers,
+};
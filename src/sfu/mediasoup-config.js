@@ -6,9 +6,16 @@
 import mediasoup from 'mediasoup';
 import os from 'os';
 
-// Store workers for round-robin assignment
+// Live workers; new routers go to the least-loaded one
 const workers = [];
-let nextWorkerIndex = 0;
+// worker => { routers, transports }, kept current through mediasoup observers
+const workerLoad = new Map();
+// Callbacks run with the dead worker after it has been removed from `workers`
+const workerDiedListeners = [];
+// Set on shutdown so dead workers aren't replaced
+let closingWorkers = false;
+// Callbacks run with (transport, reason) when a WebRTC transport stays ICE-disconnected or DTLS-failed too long
+const transportStaleListeners = [];
 
 // mediasoup Worker settings
 const workerSettings = {
@@ -102,24 +109,8 @@ async function initializeWorkers() {
   
   for (let i = 0; i < numWorkers; i++) {
     const worker = await mediasoup.createWorker(workerSettings);
-    
-    worker.on('died', (error) => {
-      console.error(`🎬 [mediasoup] Worker ${i} died:`, error);
-      // Remove dead worker and create new one
-      const idx = workers.indexOf(worker);
-      if (idx !== -1) workers.splice(idx, 1);
-      // Attempt to create replacement worker
-      setTimeout(async () => {
-        try {
-          const newWorker = await mediasoup.createWorker(workerSettings);
-          workers.push(newWorker);
-          console.log(`🎬 [mediasoup] Replacement worker created`);
-        } catch (e) {
-          console.error(`🎬 [mediasoup] Failed to create replacement worker:`, e);
-        }
-      }, 2000);
-    });
-    
+    trackWorkerLoad(worker);
+    attachWorkerHandlers(worker);
     workers.push(worker);
     console.log(`🎬 [mediasoup] Worker ${i} created (pid: ${worker.pid})`);
   }
@@ -128,31 +119,129 @@ async function initializeWorkers() {
 }
 
 /**
- * Get next available worker (round-robin)
+ * Handle a worker's death: drop it, notify listeners and create a replacement
+ * (which gets the same handlers, so it is replaced in turn if it dies)
+ */
+function attachWorkerHandlers(worker) {
+  worker.on('died', (error) => {
+    console.error(`🎬 [mediasoup] Worker ${worker.pid} died:`, error);
+    // Remove dead worker and create new one
+    const idx = workers.indexOf(worker);
+    if (idx !== -1) workers.splice(idx, 1);
+    workerLoad.delete(worker);
+    for (const listener of workerDiedListeners) {
+      try { listener(worker); } catch (e) { console.error(`🎬 [mediasoup] Worker died listener failed:`, e); }
+    }
+    // Attempt to create replacement worker
+    setTimeout(async () => {
+      if (closingWorkers) return;
+      try {
+        const newWorker = await mediasoup.createWorker(workerSettings);
+        trackWorkerLoad(newWorker);
+        attachWorkerHandlers(newWorker);
+        workers.push(newWorker);
+        console.log(`🎬 [mediasoup] Replacement worker created (pid: ${newWorker.pid})`);
+      } catch (e) {
+        console.error(`🎬 [mediasoup] Failed to create replacement worker:`, e);
+      }
+    }, 2000);
+  });
+}
+
+/**
+ * Close every worker (and with them all routers and transports) for shutdown
  */
-function getNextWorker() {
+function closeWorkers() {
+  closingWorkers = true;
+  for (const worker of workers.splice(0)) {
+    try { worker.close(); } catch {}
+    workerLoad.delete(worker);
+  }
+  console.log('🎬 [mediasoup] Workers closed');
+}
+
+/**
+ * Register a callback for worker deaths (routers on that worker are already closed)
+ */
+function onWorkerDied(listener) {
+  workerDiedListeners.push(listener);
+}
+
+/**
+ * Register a callback for WebRTC transports that stayed disconnected/failed past TRANSPORT_STALE_TIMEOUT_SECONDS
+ * (the transport is still open; appData says whose it is)
+ */
+function onTransportStale(listener) {
+  transportStaleListeners.push(listener);
+}
+
+function getTransportStaleTimeoutMs() {
+  return (parseInt(process.env.TRANSPORT_STALE_TIMEOUT_SECONDS) || 15) * 1000;
+}
+
+/**
+ * Count routers and transports per worker as they come and go
+ */
+function trackWorkerLoad(worker) {
+  const load = { routers: 0, transports: 0 };
+  workerLoad.set(worker, load);
+  
+  worker.observer.on('newrouter', (router) => {
+    load.routers++;
+    router.observer.on('close', () => load.routers--);
+    router.observer.on('newtransport', (transport) => {
+      load.transports++;
+      transport.observer.on('close', () => load.transports--);
+    });
+  });
+}
+
+/**
+ * Current { routers, transports } of a worker
+ */
+function getWorkerLoad(worker) {
+  return workerLoad.get(worker) || { routers: 0, transports: 0 };
+}
+
+/**
+ * Get the worker with the fewest transports (then routers), skipping `exclude`; null if none is left
+ */
+function getLeastLoadedWorker({ exclude = [] } = {}) {
   if (workers.length === 0) {
     throw new Error('No mediasoup workers available');
   }
-  const worker = workers[nextWorkerIndex];
-  nextWorkerIndex = (nextWorkerIndex + 1) % workers.length;
-  return worker;
+  let best = null;
+  for (const worker of workers) {
+    if (worker.closed || exclude.includes(worker)) continue;
+    const load = getWorkerLoad(worker);
+    const bestLoad = best && getWorkerLoad(best);
+    if (!best || load.transports < bestLoad.transports ||
+        (load.transports === bestLoad.transports && load.routers < bestLoad.routers)) {
+      best = worker;
+    }
+  }
+  return best;
 }
 
 /**
  * Create a new Router for a room
+ * `codecs` overrides the default media codecs (e.g. to pin payload types for WHEP players);
+ * `worker` defaults to the least-loaded one. router.appData.worker records where it lives.
  */
-async function createRouter() {
-  const worker = getNextWorker();
-  const router = await worker.createRouter({ mediaCodecs });
-  console.log(`🎬 [mediasoup] Router created (id: ${router.id})`);
+async function createRouter({ codecs = mediaCodecs, worker = getLeastLoadedWorker() } = {}) {
+  if (!worker) {
+    throw new Error('No mediasoup workers available');
+  }
+  const router = await worker.createRouter({ mediaCodecs: codecs, appData: { worker } });
+  console.log(`🎬 [mediasoup] Router created (id: ${router.id}, worker pid: ${worker.pid})`);
   return router;
 }
 
 /**
  * Create WebRTC transport for producer or consumer
+ * `appData` identifies the owner ({ tokenAddress, peerId, role }) for stale-transport listeners
  */
-async function createWebRtcTransport(router) {
+async function createWebRtcTransport(router, { appData = {} } = {}) {
   const settings = getWebRtcTransportSettings();
   
   console.log(`🎬 [mediasoup] Creating WebRTC transport with settings:`, {
@@ -161,7 +250,7 @@ async function createWebRtcTransport(router) {
     enableTcp: settings.enableTcp,
   });
   
-  const transport = await router.createWebRtcTransport(settings);
+  const transport = await router.createWebRtcTransport({ ...settings, appData });
   
   console.log(`🎬 [mediasoup] Transport created:`, {
     id: transport.id,
@@ -170,9 +259,30 @@ async function createWebRtcTransport(router) {
     dtlsState: transport.dtlsState,
   });
   
+  // Disconnected ICE may come back on its own; report the transport only if it stays down
+  let staleTimer = null;
+  const markUnhealthy = (reason) => {
+    if (staleTimer) return;
+    staleTimer = setTimeout(() => {
+      staleTimer = null;
+      if (transport.closed) return;
+      console.warn(`🎬 [mediasoup] Transport ${transport.id} stale (${reason})`);
+      for (const listener of transportStaleListeners) {
+        try { listener(transport, reason); } catch (e) { console.error(`🎬 [mediasoup] Transport stale listener failed:`, e); }
+      }
+    }, getTransportStaleTimeoutMs());
+  };
+  const markHealthy = () => {
+    clearTimeout(staleTimer);
+    staleTimer = null;
+  };
+  transport.observer.on('close', markHealthy);
+  
   // Monitor transport state changes
   transport.on('icestatechange', (iceState) => {
     console.log(`🎬 [mediasoup] Transport ${transport.id} ICE state: ${iceState}`);
+    if (iceState === 'disconnected') markUnhealthy('ice-disconnected');
+    else if ((iceState === 'connected' || iceState === 'completed') && transport.dtlsState !== 'failed') markHealthy();
   });
   
   transport.on('dtlsstatechange', (dtlsState) => {
@@ -180,6 +290,7 @@ async function createWebRtcTransport(router) {
     if (dtlsState === 'failed' || dtlsState === 'closed') {
       console.warn(`🎬 [mediasoup] Transport ${transport.id} DTLS failed/closed`);
     }
+    if (dtlsState === 'failed') markUnhealthy('dtls-failed');
   });
   
   transport.on('sctpstatechange', (sctpState) => {
@@ -207,11 +318,37 @@ async function createWebRtcTransport(router) {
   };
 }
 
+/**
+ * Create a plain RTP transport for piping media to/from a local process (e.g. ffmpeg)
+ * RTCP is not muxed so ffmpeg's default port+1 RTCP convention works.
+ * With comedia the remote address is learned from the first packet (for ingest).
+ */
+async function createPlainTransport(router, { comedia = false } = {}) {
+  const transport = await router.createPlainTransport({
+    listenIp: { ip: process.env.MEDIASOUP_PLAIN_LISTEN_IP || '127.0.0.1' },
+    rtcpMux: false,
+    comedia,
+  });
+  
+  console.log(`🎬 [mediasoup] Plain transport created:`, {
+    id: transport.id,
+    tuple: transport.tuple,
+    rtcpTuple: transport.rtcpTuple,
+  });
+  
+  return transport;
+}
+
 export {
   initializeWorkers,
-  getNextWorker,
+  closeWorkers,
+  onWorkerDied,
+  getLeastLoadedWorker,
+  getWorkerLoad,
   createRouter,
   createWebRtcTransport,
+  onTransportStale,
+  createPlainTransport,
   mediaCodecs,
   workers,
 };
@@ -3,11 +3,23 @@
  * Handles rooms, producers, and consumers
  */
 
-import { createRouter, createWebRtcTransport } from './mediasoup-config.js';
+import {
+  createRouter,
+  createWebRtcTransport,
+  createPlainTransport,
+  getLeastLoadedWorker,
+  getWorkerLoad,
+} from './mediasoup-config.js';
+import { LAYER_CHECK_INTERVAL_MS, getLayerInfo, adjustRoomLayers } from './layer-selection.js';
 
 // Room storage: tokenAddress => Room
 const rooms = new Map();
 
+// Viewers per router before a room grows another router on a different worker
+function getFanoutThreshold() {
+  return parseInt(process.env.SFU_FANOUT_VIEWER_THRESHOLD) || 100;
+}
+
 /**
  * Room class - manages a single streaming room
  */
@@ -15,11 +27,51 @@ class Room {
   constructor(tokenAddress, router) {
     this.tokenAddress = tokenAddress;
     this.router = router;
-    this.publisher = null; // { peerId, ws, producerTransport, producers: Map<kind, Producer> }
-    this.viewers = new Map(); // peerId => { ws, consumerTransport, consumers: Map<producerId, Consumer> }
+    this.publisher = null; // { peerId, ws, producerTransport, plainTransports, producers: Map<kind, Producer> } (ws null for RTMP relays, WHIP and while suspended)
+    this.viewers = new Map(); // peerId => { ws, router, consumerTransport, consumers: Map<producerId, Consumer>, joinedAt } (ws null for WHEP and while suspended)
+    this.peers = new Map(); // peerId => ws (every connected socket, including those not consuming yet)
+    this.fanoutRouters = new Map(); // Router => Set<producerId piped in> (extra routers on other workers for big audiences)
+    this.fanoutPending = null; // in-flight fan-out router creation
+    this.renditionRouters = new Map(); // codec/payload-type key => { router, producerIds: Set } (WHEP players)
+    this.autoRecord = false; // per-stream setting, loaded when the publisher goes live
+    this.layerTimer = null; // auto layer selection, runs while simulcast/SVC consumers exist
+    this.closed = false;
     this.createdAt = Date.now();
   }
 
+  /**
+   * Track a connected socket (publisher or viewer)
+   */
+  addPeer(peerId, ws) {
+    this.peers.set(peerId, ws);
+  }
+
+  /**
+   * Stop tracking a socket; returns remaining peer count
+   */
+  removePeer(peerId) {
+    this.peers.delete(peerId);
+    return this.peers.size;
+  }
+
+  /**
+   * Get number of connected sockets
+   */
+  getPeerCount() {
+    return this.peers.size;
+  }
+
+  /**
+   * Send a message to every connected socket in the room
+   */
+  broadcast(message, { except } = {}) {
+    const data = JSON.stringify(message);
+    for (const [peerId, ws] of this.peers) {
+      if (peerId === except || ws.readyState !== 1) continue;
+      try { ws.send(data); } catch {}
+    }
+  }
+
   /**
    * Get router RTP capabilities for client
    */
@@ -35,20 +87,76 @@ class Room {
       throw new Error('Room already has a publisher');
     }
     
-    // Create producer transport
-    const { transport, params } = await createWebRtcTransport(this.router);
-    
-    this.publisher = {
+    // Claim the slot before awaiting so a concurrent publisher (WebSocket or WHIP) is refused
+    const previous = this.publisher;
+    const slot = {
       peerId,
       ws,
-      producerTransport: transport,
+      producerTransport: null,
+      plainTransports: [],
       producers: new Map(),
     };
+    this.publisher = slot;
+    
+    // Create producer transport
+    let created;
+    try {
+      created = await createWebRtcTransport(this.router, {
+        appData: { tokenAddress: this.tokenAddress, peerId, role: 'publisher' },
+      });
+    } catch (e) {
+      if (this.publisher === slot) this.publisher = previous;
+      throw e;
+    }
+    const { transport, params } = created;
+    if (this.publisher !== slot) {
+      // Removed (or replaced by a newer setup of the same peer) while the transport was created
+      try { transport.close(); } catch {}
+      throw new Error('Publisher left during setup');
+    }
+    slot.producerTransport = transport;
     
     console.log(`🎬 [Room ${this.tokenAddress}] Publisher set: ${peerId}`);
     return params;
   }
 
+  /**
+   * Set a plain RTP publisher (e.g. an ffmpeg relay of an RTMP ingest).
+   * `tracks` is [{ kind, rtpParameters }]; one comedia PlainTransport is created per track.
+   * Returns [{ kind, port, rtcpPort }] for the sender to push RTP to.
+   */
+  async setPlainPublisher(peerId, tracks) {
+    if (this.publisher) {
+      throw new Error('Room already has a publisher');
+    }
+    
+    this.publisher = {
+      peerId,
+      ws: null,
+      producerTransport: null,
+      plainTransports: [],
+      producers: new Map(),
+    };
+    
+    const endpoints = [];
+    try {
+      for (const { kind, rtpParameters } of tracks) {
+        const transport = await createPlainTransport(this.router, { comedia: true });
+        this.publisher.plainTransports.push(transport);
+        
+        const producer = await transport.produce({ kind, rtpParameters });
+        await this._addProducer(kind, producer);
+        endpoints.push({ kind, port: transport.tuple.localPort, rtcpPort: transport.rtcpTuple?.localPort });
+      }
+    } catch (e) {
+      this.removePublisher();
+      throw e;
+    }
+    
+    console.log(`🎬 [Room ${this.tokenAddress}] Plain publisher set: ${peerId}`);
+    return endpoints;
+  }
+
   /**
    * Connect publisher transport
    */
@@ -74,6 +182,15 @@ class Room {
       appData,
     });
     
+    await this._addProducer(kind, producer);
+    
+    return { id: producer.id };
+  }
+
+  /**
+   * Track a new publisher producer, pipe it to the fan-out routers and tell viewers to consume it
+   */
+  async _addProducer(kind, producer) {
     this.publisher.producers.set(kind, producer);
     
     producer.on('transportclose', () => {
@@ -83,35 +200,53 @@ class Room {
     
     console.log(`🎬 [Room ${this.tokenAddress}] Producer created: ${kind} (id: ${producer.id})`);
     
+    // Viewers on fan-out routers can only consume once the producer is piped there
+    for (const [router, producerIds] of this.fanoutRouters) {
+      try {
+        await this._pipeProducer(producer, router, producerIds);
+      } catch (e) {
+        console.error(`🎬 [Room ${this.tokenAddress}] Failed to pipe producer to router ${router.id}:`, e);
+      }
+    }
+    
     // Notify existing viewers to consume this new producer
     for (const [viewerId, viewer] of this.viewers) {
-      if (viewer.ws.readyState === 1) {
+      if (viewer.ws?.readyState === 1) {
         try {
           viewer.ws.send(JSON.stringify({
             type: 'new-producer',
             producerId: producer.id,
             kind,
+            producerType: producer.type,
+            layers: getLayerInfo(producer.rtpParameters),
           }));
         } catch (e) {
           console.error(`🎬 [Room] Failed to notify viewer ${viewerId}:`, e);
         }
       }
     }
-    
-    return { id: producer.id };
   }
 
   /**
    * Add viewer to room
+   * `router` defaults to the least-loaded of the room's routers; WHEP players use a rendition router
    */
-  async addViewer(peerId, ws) {
+  async addViewer(peerId, ws, { router } = {}) {
+    // A resumed viewer replaces its suspended entry
+    if (this.viewers.has(peerId)) this.removeViewer(peerId);
+    const viewerRouter = router || await this._pickViewerRouter();
+    
     // Create consumer transport
-    const { transport, params } = await createWebRtcTransport(this.router);
+    const { transport, params } = await createWebRtcTransport(viewerRouter, {
+      appData: { tokenAddress: this.tokenAddress, peerId, role: 'viewer' },
+    });
     
     this.viewers.set(peerId, {
       ws,
+      router: viewerRouter,
       consumerTransport: transport,
       consumers: new Map(),
+      joinedAt: Date.now(),
     });
     
     console.log(`🎬 [Room ${this.tokenAddress}] Viewer added: ${peerId} (total: ${this.viewers.size})`);
@@ -133,7 +268,7 @@ class Room {
   /**
    * Create consumer (viewer receives media)
    */
-  async consume(peerId, producerId, rtpCapabilities) {
+  async consume(peerId, producerId, rtpCapabilities, { mid } = {}) {
     const viewer = this.viewers.get(peerId);
     if (!viewer) {
       throw new Error('Viewer not found');
@@ -163,10 +298,28 @@ class Room {
       producerId,
       rtpCapabilities,
       paused: true, // Start paused, client will resume
+      mid,
     });
     
     viewer.consumers.set(producerId, consumer);
     
+    if (consumer.type !== 'simple') {
+      consumer.appData.layerMode = 'auto';
+      consumer.on('layerschange', (layers) => {
+        if (viewer.ws?.readyState === 1) {
+          try {
+            viewer.ws.send(JSON.stringify({
+              type: 'consumer-layers-changed',
+              consumerId: consumer.id,
+              spatialLayer: layers?.spatialLayer ?? null,
+              temporalLayer: layers?.temporalLayer ?? null,
+            }));
+          } catch (e) {}
+        }
+      });
+      this._startLayerSelection();
+    }
+    
     consumer.on('transportclose', () => {
       console.log(`🎬 [Room ${this.tokenAddress}] Consumer transport closed`);
       viewer.consumers.delete(producerId);
@@ -176,7 +329,7 @@ class Room {
       console.log(`🎬 [Room ${this.tokenAddress}] Producer closed, closing consumer`);
       viewer.consumers.delete(producerId);
       // Notify viewer
-      if (viewer.ws.readyState === 1) {
+      if (viewer.ws?.readyState === 1) {
         try {
           viewer.ws.send(JSON.stringify({
             type: 'producer-closed',
@@ -193,9 +346,64 @@ class Room {
       producerId,
       kind: consumer.kind,
       rtpParameters: consumer.rtpParameters,
+      type: consumer.type,
+      layers: getLayerInfo(consumer.rtpParameters),
+      preferredLayers: consumer.preferredLayers ?? null,
+      layerMode: consumer.appData.layerMode ?? null,
     };
   }
 
+  /**
+   * Pin a viewer's simulcast/SVC consumer to the given layers, or pass null to go back to auto mode
+   */
+  async setPreferredLayers(peerId, consumerId, layers) {
+    const consumer = this._getConsumer(peerId, consumerId);
+    if (!consumer) throw new Error('Consumer not found');
+    if (consumer.type === 'simple') throw new Error('Consumer has no simulcast/SVC layers');
+    
+    if (!layers) {
+      consumer.appData.layerMode = 'auto';
+      console.log(`🎬 [Room ${this.tokenAddress}] Consumer ${consumerId} back to auto layers`);
+      return null;
+    }
+    
+    const { spatialLayers, temporalLayers } = getLayerInfo(consumer.rtpParameters);
+    const spatialLayer = layers.spatialLayer;
+    const temporalLayer = layers.temporalLayer ?? temporalLayers - 1;
+    if (!Number.isInteger(spatialLayer) || spatialLayer < 0 || spatialLayer >= spatialLayers) {
+      throw new Error(`spatialLayer must be an integer between 0 and ${spatialLayers - 1}`);
+    }
+    if (!Number.isInteger(temporalLayer) || temporalLayer < 0 || temporalLayer >= temporalLayers) {
+      throw new Error(`temporalLayer must be an integer between 0 and ${temporalLayers - 1}`);
+    }
+    
+    consumer.appData.layerMode = 'manual';
+    await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+    console.log(`🎬 [Room ${this.tokenAddress}] Consumer ${consumerId} pinned to S${spatialLayer}T${temporalLayer}`);
+    return { spatialLayer, temporalLayer };
+  }
+
+  _getConsumer(peerId, consumerId) {
+    const viewer = this.viewers.get(peerId);
+    if (!viewer) return null;
+    for (const consumer of viewer.consumers.values()) {
+      if (consumer.id === consumerId) return consumer;
+    }
+    return null;
+  }
+
+  _startLayerSelection() {
+    if (this.layerTimer) return;
+    this.layerTimer = setInterval(() => {
+      adjustRoomLayers(this).catch(e => console.error(`🎬 [Room ${this.tokenAddress}] Layer selection failed:`, e));
+    }, LAYER_CHECK_INTERVAL_MS);
+  }
+
+  _stopLayerSelection() {
+    clearInterval(this.layerTimer);
+    this.layerTimer = null;
+  }
+
   /**
    * Resume consumer (after client is ready)
    */
@@ -220,9 +428,95 @@ class Room {
     return Array.from(this.publisher.producers.values()).map(p => ({
       id: p.id,
       kind: p.kind,
+      producerType: p.type,
+      layers: getLayerInfo(p.rtpParameters),
     }));
   }
 
+  /**
+   * Get the publisher's producer objects (for recording/bridging)
+   */
+  getProducers() {
+    if (!this.publisher) return [];
+    return Array.from(this.publisher.producers.values());
+  }
+
+  /**
+   * Router for a new viewer: the room router until every router of the room has reached the
+   * fan-out threshold, then a new router on an unused worker; otherwise the least-loaded one
+   */
+  async _pickViewerRouter() {
+    const threshold = getFanoutThreshold();
+    const routers = [this.router, ...this.fanoutRouters.keys()];
+    const viewerCounts = new Map(routers.map(router => [router, 0]));
+    for (const viewer of this.viewers.values()) {
+      if (viewerCounts.has(viewer.router)) viewerCounts.set(viewer.router, viewerCounts.get(viewer.router) + 1);
+    }
+    
+    const open = routers.filter(router => viewerCounts.get(router) < threshold);
+    if (open.length === 0) {
+      const worker = getLeastLoadedWorker({ exclude: routers.map(router => router.appData.worker) });
+      if (worker) {
+        if (!this.fanoutPending) {
+          this.fanoutPending = this._addFanoutRouter(worker).finally(() => { this.fanoutPending = null; });
+        }
+        return this.fanoutPending;
+      }
+    }
+    
+    // Least loaded by the hosting worker's transports, then by this room's viewers
+    const candidates = open.length > 0 ? open : routers;
+    return candidates.reduce((best, router) => {
+      const load = getWorkerLoad(router.appData.worker).transports;
+      const bestLoad = getWorkerLoad(best.appData.worker).transports;
+      if (load !== bestLoad) return load < bestLoad ? router : best;
+      return viewerCounts.get(router) < viewerCounts.get(best) ? router : best;
+    });
+  }
+
+  /**
+   * Grow the room onto another worker: new router with the publisher's producers piped in
+   */
+  async _addFanoutRouter(worker) {
+    const router = await createRouter({ worker });
+    const producerIds = new Set();
+    this.fanoutRouters.set(router, producerIds);
+    for (const producer of this.getProducers()) {
+      await this._pipeProducer(producer, router, producerIds);
+    }
+    console.log(`🎬 [Room ${this.tokenAddress}] Fan-out router added on worker ${worker.pid} (routers: ${this.fanoutRouters.size + 1})`);
+    return router;
+  }
+
+  async _pipeProducer(producer, router, producerIds) {
+    if (producerIds.has(producer.id)) return;
+    await this.router.pipeToRouter({ producerId: producer.id, router });
+    producerIds.add(producer.id);
+  }
+
+  /**
+   * Get a router whose codecs carry the given payload types, with the publisher's producers piped in.
+   * mediasoup consumers always use their router's payload types, so players that dictate them
+   * in an SDP offer (WHEP) consume from one of these. Players with the same mapping share a router.
+   */
+  async getRenditionRouter(codecs) {
+    const key = JSON.stringify(codecs.map(c => [c.mimeType, c.preferredPayloadType, c.parameters]));
+    let rendition = this.renditionRouters.get(key);
+    if (!rendition) {
+      rendition = { router: await createRouter({ codecs }), producerIds: new Set() };
+      this.renditionRouters.set(key, rendition);
+      console.log(`🎬 [Room ${this.tokenAddress}] Rendition router created (id: ${rendition.router.id})`);
+    }
+    
+    const mimeTypes = codecs.map(c => c.mimeType.toLowerCase());
+    for (const producer of this.getProducers()) {
+      if (!mimeTypes.includes(producer.rtpParameters.codecs[0].mimeType.toLowerCase())) continue;
+      await this._pipeProducer(producer, rendition.router, rendition.producerIds);
+    }
+    
+    return rendition.router;
+  }
+
   /**
    * Remove viewer from room
    */
@@ -236,11 +530,131 @@ class Room {
       // Close transport
       try { viewer.consumerTransport?.close(); } catch {}
       this.viewers.delete(peerId);
+      this._releaseFanoutRouter(viewer.router);
       console.log(`🎬 [Room ${this.tokenAddress}] Viewer removed: ${peerId} (remaining: ${this.viewers.size})`);
     }
     return this.viewers.size;
   }
 
+  /**
+   * Close a fan-out router once its last viewer has left
+   */
+  _releaseFanoutRouter(router) {
+    if (!this.fanoutRouters.has(router)) return;
+    for (const viewer of this.viewers.values()) {
+      if (viewer.router === router) return;
+    }
+    this.fanoutRouters.delete(router);
+    try { router.close(); } catch {}
+    console.log(`🎬 [Room ${this.tokenAddress}] Fan-out router closed (routers: ${this.fanoutRouters.size + 1})`);
+  }
+
+  /**
+   * Whether any of the room's routers lives on the given worker
+   */
+  usesWorker(worker) {
+    if (this.router.appData.worker === worker) return true;
+    for (const router of this.fanoutRouters.keys()) {
+      if (router.appData.worker === worker) return true;
+    }
+    for (const { router } of this.renditionRouters.values()) {
+      if (router.appData.worker === worker) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Replace routers lost with a dead worker. If the room router moved, the publisher keeps its
+   * slot (empty, so the same peer can redo transport setup) and WHEP renditions are dropped.
+   * Safe to retry if creating the new router fails.
+   * Returns { routerMoved, strandedViewers } where strandedViewers lost their transports.
+   */
+  async recoverFromWorkerDeath(worker) {
+    for (const router of [...this.fanoutRouters.keys()]) {
+      if (router.appData.worker === worker) this.fanoutRouters.delete(router);
+    }
+    for (const [key, { router }] of this.renditionRouters) {
+      if (router.appData.worker === worker) this.renditionRouters.delete(key);
+    }
+    
+    const routerMoved = this.router.appData.worker === worker;
+    if (routerMoved) {
+      const router = await createRouter();
+      if (this.closed) {
+        router.close();
+        return { routerMoved: false, strandedViewers: [] };
+      }
+      this.router = router;
+      
+      this._clearPublisherMedia();
+      // Renditions and fan-out routers were fed from the old router
+      for (const { router: rendition } of this.renditionRouters.values()) {
+        try { rendition.close(); } catch {}
+      }
+      this.renditionRouters.clear();
+      for (const producerIds of this.fanoutRouters.values()) {
+        producerIds.clear();
+      }
+      console.log(`🎬 [Room ${this.tokenAddress}] Router moved to worker ${router.appData.worker.pid}`);
+    }
+    
+    const strandedViewers = [];
+    for (const [peerId, viewer] of this.viewers) {
+      if (viewer.router.closed) strandedViewers.push(peerId);
+    }
+    return { routerMoved, strandedViewers };
+  }
+
+  /**
+   * Close the publisher's transports (and with them its producers) but keep its slot,
+   * so the same peer can redo transport setup
+   */
+  _clearPublisherMedia() {
+    if (!this.publisher) return;
+    try { this.publisher.producerTransport?.close(); } catch {}
+    for (const transport of this.publisher.plainTransports) {
+      try { transport.close(); } catch {}
+    }
+    this.publisher.producerTransport = null;
+    this.publisher.plainTransports = [];
+    this.publisher.producers.clear();
+  }
+
+  /**
+   * Publisher socket dropped but may reconnect: free its media, keep the slot for its peerId.
+   * WHEP renditions are dropped (they only carry the closed producers).
+   */
+  suspendPublisher() {
+    if (!this.publisher) return;
+    this._clearPublisherMedia();
+    this.publisher.ws = null;
+    for (const { router } of this.renditionRouters.values()) {
+      try { router.close(); } catch {}
+    }
+    this.renditionRouters.clear();
+    for (const producerIds of this.fanoutRouters.values()) {
+      producerIds.clear();
+    }
+    this._stopLayerSelection();
+    console.log(`🎬 [Room ${this.tokenAddress}] Publisher suspended: ${this.publisher.peerId}`);
+  }
+
+  /**
+   * Viewer socket dropped but may reconnect: free its transport, keep it counted
+   */
+  suspendViewer(peerId) {
+    const viewer = this.viewers.get(peerId);
+    if (!viewer) return;
+    for (const consumer of viewer.consumers.values()) {
+      try { consumer.close(); } catch {}
+    }
+    viewer.consumers.clear();
+    try { viewer.consumerTransport?.close(); } catch {}
+    viewer.consumerTransport = null;
+    viewer.ws = null;
+    console.log(`🎬 [Room ${this.tokenAddress}] Viewer suspended: ${peerId}`);
+  }
+
   /**
    * Remove publisher and close room
    */
@@ -250,8 +664,21 @@ class Room {
       for (const producer of this.publisher.producers.values()) {
         try { producer.close(); } catch {}
       }
-      // Close transport
+      // Close transports
       try { this.publisher.producerTransport?.close(); } catch {}
+      for (const transport of this.publisher.plainTransports) {
+        try { transport.close(); } catch {}
+      }
+      // Rendition routers only serve this publisher's producers (closing them ends WHEP playback)
+      for (const { router } of this.renditionRouters.values()) {
+        try { router.close(); } catch {}
+      }
+      this.renditionRouters.clear();
+      // Fan-out routers keep their viewers' transports; the piped producers are gone with the originals
+      for (const producerIds of this.fanoutRouters.values()) {
+        producerIds.clear();
+      }
+      this._stopLayerSelection();
       this.publisher = null;
       console.log(`🎬 [Room ${this.tokenAddress}] Publisher removed`);
     }
@@ -281,8 +708,15 @@ class Room {
     }
     // Close publisher
     this.removePublisher();
+    this._stopLayerSelection();
+    // Close fan-out routers (viewers are gone already)
+    for (const router of this.fanoutRouters.keys()) {
+      try { router.close(); } catch {}
+    }
+    this.fanoutRouters.clear();
     // Close router
     try { this.router.close(); } catch {}
+    this.closed = true;
     console.log(`🎬 [Room ${this.tokenAddress}] Room closed`);
   }
 }
@@ -321,6 +755,13 @@ function deleteRoom(tokenAddress) {
   }
 }
 
+/**
+ * Rooms with a router on the given worker
+ */
+function getRoomsOnWorker(worker) {
+  return Array.from(rooms.values()).filter(room => room.usesWorker(worker));
+}
+
 /**
  * Get all rooms (for monitoring)
  */
@@ -329,6 +770,7 @@ function getAllRooms() {
     tokenAddress,
     hasPublisher: room.hasPublisher(),
     viewerCount: room.getViewerCount(),
+    routerCount: 1 + room.fanoutRouters.size,
     createdAt: room.createdAt,
   }));
 }
@@ -338,5 +780,6 @@ export {
   getOrCreateRoom,
   getRoom,
   deleteRoom,
+  getRoomsOnWorker,
   getAllRooms,
 };
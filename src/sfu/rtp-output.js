@@ -0,0 +1,132 @@
+/**
+ * RTP output for mediasoup producers
+ * Consumes producers over PlainTransports towards local UDP ports and describes them as SDP (for ffmpeg)
+ */
+
+import dgram from 'dgram';
+import { createPlainTransport } from './mediasoup-config.js';
+
+const RTP_OUTPUT_IP = '127.0.0.1';
+
+// Even RTP ports currently handed out (RTCP uses port + 1)
+const usedPorts = new Set();
+
+function canBind(port) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', () => resolve(false));
+    socket.bind(port, RTP_OUTPUT_IP, () => socket.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Reserve a free even RTP port (and its RTCP port + 1)
+ */
+async function allocatePortPair() {
+  // Read at call time so values from .env are picked up
+  const minPort = parseInt(process.env.RTP_OUTPUT_MIN_PORT) || 20000;
+  const maxPort = parseInt(process.env.RTP_OUTPUT_MAX_PORT) || 20999;
+  const first = minPort + (minPort % 2);
+  for (let port = first; port + 1 <= maxPort; port += 2) {
+    if (usedPorts.has(port)) continue;
+    usedPorts.add(port);
+    if (await canBind(port) && await canBind(port + 1)) return port;
+    usedPorts.delete(port);
+  }
+  throw new Error('No free RTP output ports');
+}
+
+function releasePortPair(port) {
+  usedPorts.delete(port);
+}
+
+/**
+ * SDP media section for one consumer
+ */
+function mediaSection(consumer, port) {
+  const codec = consumer.rtpParameters.codecs[0];
+  const [, codecName] = codec.mimeType.split('/');
+  const rtpmap = codec.channels > 1
+    ? `${codecName}/${codec.clockRate}/${codec.channels}`
+    : `${codecName}/${codec.clockRate}`;
+  const fmtp = Object.entries(codec.parameters || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join(';');
+
+  const lines = [
+    `m=${consumer.kind} ${port} RTP/AVP ${codec.payloadType}`,
+    `a=rtpmap:${codec.payloadType} ${rtpmap}`,
+  ];
+  if (fmtp) lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+  lines.push('a=sendonly');
+  return lines;
+}
+
+/**
+ * Pipe producers out of a router as plain RTP.
+ * Consumers start paused; call resume() once the receiving process is listening.
+ */
+async function createRtpOutput(router, producers, { label = 'rtp-output' } = {}) {
+  const outputs = [];
+
+  try {
+    for (const producer of producers) {
+      const port = await allocatePortPair();
+      const output = { port, kind: producer.kind, transport: null, consumer: null };
+      outputs.push(output);
+
+      output.transport = await createPlainTransport(router);
+      await output.transport.connect({ ip: RTP_OUTPUT_IP, port, rtcpPort: port + 1 });
+
+      output.consumer = await output.transport.consume({
+        producerId: producer.id,
+        rtpCapabilities: router.rtpCapabilities,
+        paused: true,
+      });
+    }
+  } catch (e) {
+    closeOutputs(outputs);
+    throw e;
+  }
+
+  const sdp = [
+    'v=0',
+    `o=- 0 0 IN IP4 ${RTP_OUTPUT_IP}`,
+    `s=${label}`,
+    `c=IN IP4 ${RTP_OUTPUT_IP}`,
+    't=0 0',
+    ...outputs.flatMap(o => mediaSection(o.consumer, o.port)),
+    '',
+  ].join('\n');
+
+  console.log(`🎬 [RtpOutput] ${label}: ${outputs.map(o => `${o.kind}@${o.port}`).join(', ')}`);
+
+  return {
+    sdp,
+    codecs: outputs.map(o => ({ kind: o.kind, mimeType: o.consumer.rtpParameters.codecs[0].mimeType })),
+    async resume() {
+      for (const { consumer } of outputs) {
+        await consumer.resume();
+        if (consumer.kind === 'video') await consumer.requestKeyFrame();
+      }
+    },
+    async requestKeyFrame() {
+      for (const { consumer } of outputs) {
+        if (consumer.kind === 'video' && !consumer.closed) await consumer.requestKeyFrame();
+      }
+    },
+    close() {
+      closeOutputs(outputs);
+    },
+  };
+}
+
+function closeOutputs(outputs) {
+  for (const output of outputs) {
+    try { output.consumer?.close(); } catch {}
+    try { output.transport?.close(); } catch {}
+    releasePortPair(output.port);
+  }
+}
+
+export { createRtpOutput, allocatePortPair, releasePortPair };
@@ -0,0 +1,401 @@
+/**
+ * SDP offer/answer helpers for WHIP (publish) and WHEP (playback)
+ * Translates between browser/OBS SDP and mediasoup RTP parameters; the server side is always ice-lite.
+ */
+
+import sdpTransform from 'sdp-transform';
+
+const MEDIA_KINDS = ['audio', 'video'];
+
+/**
+ * Parse an SDP offer; returns null unless it has at least one m-section
+ */
+function parseSdp(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  try {
+    const sdp = sdpTransform.parse(text);
+    return Array.isArray(sdp.media) && sdp.media.length > 0 ? sdp : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remote DTLS parameters for transport.connect(); returns null without a fingerprint.
+ * An actpass/active offerer becomes the DTLS client and we answer passive.
+ */
+function getRemoteDtlsParameters(offer) {
+  const media = offer.media.find(m => m.port !== 0) || offer.media[0];
+  const fingerprint = media.fingerprint || offer.fingerprint;
+  if (!fingerprint) return null;
+  const setup = media.setup || offer.setup;
+  return {
+    role: setup === 'passive' ? 'server' : 'client',
+    fingerprints: [{ algorithm: fingerprint.type.toLowerCase(), value: fingerprint.hash }],
+  };
+}
+
+/**
+ * Remote ICE ufrag (used to detect ICE restarts in trickle PATCHes)
+ */
+function getRemoteIceUfrag(sdp) {
+  return sdp.media?.find(m => m.iceUfrag)?.iceUfrag || sdp.iceUfrag || null;
+}
+
+/**
+ * Parse an application/trickle-ice-sdpfrag body; returns { iceUfrag } or null
+ */
+function parseIceFragment(text) {
+  if (typeof text !== 'string') return null;
+  try {
+    return { iceUfrag: getRemoteIceUfrag(sdpTransform.parse(text)) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Codecs offered in an m-section, in preference order
+ */
+function getOfferedCodecs(media) {
+  const rtpMaps = media.rtp || [];
+  const order = String(media.payloads || '').split(' ').map(Number);
+  return rtpMaps
+    .slice()
+    .sort((a, b) => order.indexOf(a.payload) - order.indexOf(b.payload))
+    .map(rtp => {
+      const fmtp = (media.fmtp || []).find(f => f.payload === rtp.payload);
+      return {
+        payloadType: rtp.payload,
+        mimeType: `${media.type}/${rtp.codec}`,
+        clockRate: rtp.rate,
+        channels: media.type === 'audio' ? (Number(rtp.encoding) || 1) : undefined,
+        parameters: fmtp ? sdpTransform.parseParams(fmtp.config) : {},
+        rtcpFeedback: (media.rtcpFb || [])
+          .filter(fb => fb.payload === '*' || Number(fb.payload) === rtp.payload)
+          .map(fb => ({ type: fb.type, parameter: fb.subtype || '' })),
+      };
+    });
+}
+
+function isFeatureCodec(codec) {
+  return /\/(rtx|red|ulpfec|flexfec-03|telephone-event|cn)$/i.test(codec.mimeType);
+}
+
+// Coarse H264 profile from profile-level-id: constrained baseline is interchangeable across idc values
+function h264Profile(profileLevelId = '42001f') {
+  const value = String(profileLevelId);
+  const idc = parseInt(value.slice(0, 2), 16);
+  const iop = parseInt(value.slice(2, 4), 16);
+  if ((idc === 0x42 && iop & 0x40) || (idc === 0x4d && iop & 0x80) || (idc === 0x58 && (iop & 0xc0) === 0xc0)) {
+    return 'constrained-baseline';
+  }
+  return idc;
+}
+
+/**
+ * Whether two codecs are the same media format (mirrors mediasoup's strict matching)
+ */
+function codecsMatch(a, b) {
+  const mimeType = a.mimeType.toLowerCase();
+  if (mimeType !== b.mimeType.toLowerCase() || a.clockRate !== b.clockRate) return false;
+  if (mimeType.startsWith('audio/') && (a.channels || 1) !== (b.channels || 1)) return false;
+
+  const pa = a.parameters || {};
+  const pb = b.parameters || {};
+  if (mimeType === 'video/h264') {
+    return Number(pa['packetization-mode'] || 0) === Number(pb['packetization-mode'] || 0) &&
+      h264Profile(pa['profile-level-id']) === h264Profile(pb['profile-level-id']);
+  }
+  if (mimeType === 'video/vp9') {
+    return Number(pa['profile-id'] || 0) === Number(pb['profile-id'] || 0);
+  }
+  return true;
+}
+
+function supportedHeaderExtensions(media, routerCapabilities) {
+  return (media.ext || [])
+    .filter(ext => routerCapabilities.headerExtensions.some(cap => cap.kind === media.type && cap.uri === ext.uri))
+    .map(ext => ({ uri: ext.uri, id: ext.value }));
+}
+
+// Encodings sent by the offerer: one per send rid (simulcast) or the primary SSRC with its FID (RTX) pair
+function getOfferedEncodings(media, hasRtx) {
+  const rids = (media.rids || []).filter(rid => rid.direction === 'send');
+  if (rids.length > 0) return rids.map(rid => ({ rid: rid.id }));
+
+  const fid = (media.ssrcGroups || []).find(group => group.semantics === 'FID');
+  if (fid) {
+    const [ssrc, rtxSsrc] = fid.ssrcs.split(' ').map(Number);
+    return [hasRtx && rtxSsrc ? { ssrc, rtx: { ssrc: rtxSsrc } } : { ssrc }];
+  }
+
+  const ssrc = media.ssrcs?.[0]?.id;
+  return ssrc ? [{ ssrc: Number(ssrc) }] : [];
+}
+
+/**
+ * Producer parameters for each offered m-section (WHIP); null where we can't receive it.
+ * Payload types and header extension ids are the offerer's, so the answer simply echoes them.
+ */
+function negotiatePublishTracks(offer, routerCapabilities) {
+  // A room publishes one producer per kind
+  const kinds = new Set();
+  return offer.media.map(media => {
+    if (media.port === 0 || !MEDIA_KINDS.includes(media.type) || kinds.has(media.type)) return null;
+    if (media.direction && media.direction !== 'sendonly' && media.direction !== 'sendrecv') return null;
+
+    const offered = getOfferedCodecs(media);
+    let codec = null;
+    let capCodec = null;
+    for (const candidate of offered) {
+      if (isFeatureCodec(candidate)) continue;
+      capCodec = routerCapabilities.codecs.find(cap => cap.kind === media.type && codecsMatch(cap, candidate));
+      if (capCodec) {
+        codec = candidate;
+        break;
+      }
+    }
+    if (!codec) return null;
+
+    const rtx = offered.find(c => /\/rtx$/i.test(c.mimeType) && Number(c.parameters.apt) === codec.payloadType);
+    const encodings = getOfferedEncodings(media, !!rtx);
+    if (encodings.length === 0) return null;
+
+    const codecs = [{
+      mimeType: capCodec.mimeType,
+      payloadType: codec.payloadType,
+      clockRate: codec.clockRate,
+      ...(codec.channels ? { channels: codec.channels } : {}),
+      parameters: codec.parameters,
+      rtcpFeedback: capCodec.rtcpFeedback.filter(fb =>
+        codec.rtcpFeedback.some(o => o.type === fb.type && o.parameter === (fb.parameter || ''))
+      ),
+    }];
+    if (rtx) {
+      codecs.push({
+        mimeType: `${media.type}/rtx`,
+        payloadType: rtx.payloadType,
+        clockRate: rtx.clockRate,
+        parameters: { apt: codec.payloadType },
+        rtcpFeedback: [],
+      });
+    }
+
+    const cname = (media.ssrcs || []).find(s => s.attribute === 'cname')?.value;
+    kinds.add(media.type);
+
+    return {
+      kind: media.type,
+      rtpParameters: {
+        mid: media.mid !== undefined ? String(media.mid) : undefined,
+        codecs,
+        headerExtensions: supportedHeaderExtensions(media, routerCapabilities),
+        encodings,
+        rtcp: { cname, reducedSize: true },
+      },
+    };
+  });
+}
+
+/**
+ * Consumer setup for each offered m-section (WHEP); null where no producer/codec fits.
+ * `codec` pins the offerer's payload type on a rendition router; `rtpCapabilities` feeds consume().
+ */
+function negotiatePlaybackTracks(offer, producers, routerCapabilities) {
+  const used = new Set();
+  return offer.media.map(media => {
+    if (media.port === 0 || !MEDIA_KINDS.includes(media.type)) return null;
+    if (media.direction && media.direction !== 'recvonly' && media.direction !== 'sendrecv') return null;
+
+    const producer = producers.find(p => p.kind === media.type && !used.has(p.id));
+    if (!producer) return null;
+
+    const producerCodec = producer.rtpParameters.codecs[0];
+    const capCodec = routerCapabilities.codecs.find(cap => cap.kind === media.type && codecsMatch(cap, producerCodec));
+    const offered = capCodec && getOfferedCodecs(media).find(c => !isFeatureCodec(c) && codecsMatch(c, capCodec));
+    if (!offered) return null;
+    used.add(producer.id);
+
+    const channels = capCodec.channels ? { channels: capCodec.channels } : {};
+    return {
+      kind: media.type,
+      mid: media.mid !== undefined ? String(media.mid) : undefined,
+      producer,
+      codec: {
+        kind: media.type,
+        mimeType: capCodec.mimeType,
+        clockRate: capCodec.clockRate,
+        ...channels,
+        parameters: capCodec.parameters,
+        preferredPayloadType: offered.payloadType,
+      },
+      rtpCapabilities: {
+        codecs: [{
+          kind: media.type,
+          mimeType: capCodec.mimeType,
+          preferredPayloadType: offered.payloadType,
+          clockRate: capCodec.clockRate,
+          ...channels,
+          parameters: offered.parameters,
+          rtcpFeedback: offered.rtcpFeedback,
+        }],
+        headerExtensions: (media.ext || []).map(ext => ({
+          kind: media.type,
+          uri: ext.uri,
+          preferredId: ext.value,
+          direction: 'sendrecv',
+        })),
+      },
+    };
+  });
+}
+
+function toSdpCandidates(iceCandidates) {
+  return iceCandidates.map(candidate => ({
+    foundation: candidate.foundation,
+    component: 1,
+    transport: candidate.protocol,
+    priority: candidate.priority,
+    ip: candidate.address ?? candidate.ip,
+    port: candidate.port,
+    type: candidate.type,
+    ...(candidate.protocol === 'tcp' ? { tcptype: candidate.tcpType || 'passive' } : {}),
+  }));
+}
+
+function formatParameters(parameters = {}) {
+  return Object.entries(parameters).map(([key, value]) => `${key}=${value}`).join(';');
+}
+
+function rejectedMedia(media) {
+  const payload = String(media.payloads || '').split(' ')[0] || '0';
+  return {
+    type: media.type,
+    port: 0,
+    protocol: media.protocol,
+    payloads: payload,
+    rtp: (media.rtp || []).filter(rtp => String(rtp.payload) === payload),
+    fmtp: [],
+    mid: media.mid,
+    direction: 'inactive',
+  };
+}
+
+/**
+ * Build the SDP answer. `tracks[i]` answers offer m-section i:
+ *   { direction, rtpParameters, streamId?, trackId? } or null to reject it.
+ * Send tracks (WHEP) announce their SSRCs; receive tracks (WHIP) echo offered rids/simulcast.
+ */
+function buildAnswer(offer, { iceParameters, iceCandidates, dtlsParameters }, tracks) {
+  const dtlsRole = getRemoteDtlsParameters(offer)?.role === 'server' ? 'active' : 'passive';
+  const fingerprint = dtlsParameters.fingerprints.find(f => f.algorithm === 'sha-256') || dtlsParameters.fingerprints[0];
+  const candidates = toSdpCandidates(iceCandidates);
+
+  const media = offer.media.map((offerMedia, index) => {
+    const track = tracks[index];
+    if (!track) return rejectedMedia(offerMedia);
+
+    const { rtpParameters } = track;
+    const answer = {
+      type: offerMedia.type,
+      port: 9,
+      protocol: 'UDP/TLS/RTP/SAVPF',
+      connection: { version: 4, ip: '0.0.0.0' },
+      payloads: rtpParameters.codecs.map(c => c.payloadType).join(' '),
+      rtp: rtpParameters.codecs.map(c => ({
+        payload: c.payloadType,
+        codec: c.mimeType.split('/')[1],
+        rate: c.clockRate,
+        ...(c.channels > 1 ? { encoding: c.channels } : {}),
+      })),
+      fmtp: rtpParameters.codecs
+        .filter(c => Object.keys(c.parameters || {}).length > 0)
+        .map(c => ({ payload: c.payloadType, config: formatParameters(c.parameters) })),
+      rtcpFb: rtpParameters.codecs.flatMap(c => (c.rtcpFeedback || []).map(fb => ({
+        payload: c.payloadType,
+        type: fb.type,
+        ...(fb.parameter ? { subtype: fb.parameter } : {}),
+      }))),
+      ext: rtpParameters.headerExtensions.map(ext => ({ value: ext.id, uri: ext.uri })),
+      mid: offerMedia.mid,
+      direction: track.direction,
+      iceUfrag: iceParameters.usernameFragment,
+      icePwd: iceParameters.password,
+      fingerprint: { type: fingerprint.algorithm, hash: fingerprint.value },
+      setup: dtlsRole,
+      rtcpMux: 'rtcp-mux',
+      rtcpRsize: 'rtcp-rsize',
+      candidates,
+      endOfCandidates: 'end-of-candidates',
+    };
+
+    if (track.direction === 'recvonly' && rtpParameters.encodings.some(e => e.rid)) {
+      answer.rids = rtpParameters.encodings.map(e => ({ id: e.rid, direction: 'recv' }));
+      answer.simulcast = { dir1: 'recv', list1: rtpParameters.encodings.map(e => e.rid).join(';') };
+    }
+
+    if (track.direction === 'sendonly') {
+      const [encoding] = rtpParameters.encodings;
+      const cname = rtpParameters.rtcp?.cname;
+      answer.msid = `${track.streamId} ${track.trackId}`;
+      answer.ssrcs = [{ id: encoding.ssrc, attribute: 'cname', value: cname }];
+      if (encoding.rtx) {
+        answer.ssrcs.push({ id: encoding.rtx.ssrc, attribute: 'cname', value: cname });
+        answer.ssrcGroups = [{ semantics: 'FID', ssrcs: `${encoding.ssrc} ${encoding.rtx.ssrc}` }];
+      }
+    }
+
+    return answer;
+  });
+
+  const bundled = media.filter(m => m.port !== 0).map(m => m.mid);
+
+  return sdpTransform.write({
+    version: 0,
+    origin: {
+      username: '-',
+      sessionId: String(Date.now()),
+      sessionVersion: 1,
+      netType: 'IN',
+      ipVer: 4,
+      address: '127.0.0.1',
+    },
+    name: '-',
+    timing: { start: 0, stop: 0 },
+    icelite: 'ice-lite',
+    groups: bundled.length > 0 ? [{ type: 'BUNDLE', mids: bundled.join(' ') }] : [],
+    msidSemantic: { semantic: 'WMS', token: '*' },
+    media,
+  });
+}
+
+/**
+ * trickle-ice-sdpfrag answering an ICE restart: our new credentials and candidates
+ * `bundle` is the answered m-sections as [{ mid, type }]
+ */
+function buildIceFragment(bundle, { iceParameters, iceCandidates }) {
+  const lines = ['a=ice-lite', `a=ice-ufrag:${iceParameters.usernameFragment}`, `a=ice-pwd:${iceParameters.password}`];
+  if (bundle.length > 0) lines.push(`a=group:BUNDLE ${bundle.map(m => m.mid).join(' ')}`);
+
+  const candidates = toSdpCandidates(iceCandidates).map(candidate =>
+    `a=candidate:${candidate.foundation} ${candidate.component} ${candidate.transport} ${candidate.priority} ` +
+    `${candidate.ip} ${candidate.port} typ ${candidate.type}${candidate.tcptype ? ` tcptype ${candidate.tcptype}` : ''}`
+  );
+  // Candidates belong to the first bundled m-section
+  if (bundle.length > 0) {
+    lines.push(`m=${bundle[0].type} 9 UDP/TLS/RTP/SAVPF 0`, `a=mid:${bundle[0].mid}`, ...candidates, 'a=end-of-candidates');
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+export {
+  parseSdp,
+  getRemoteDtlsParameters,
+  getRemoteIceUfrag,
+  parseIceFragment,
+  negotiatePublishTracks,
+  negotiatePlaybackTracks,
+  buildAnswer,
+  buildIceFragment,
+};